@@ -1,12 +1,14 @@
 import Crypto from './lib/Crypto.js'
 import Wallet from './lib/Wallet.js'
 import TransactionHandler from './lib/TransactionHandler.js'
+import ChainSpec from './lib/ChainSpec.js'
 
 import { urlCall, fixRounding, time, debug, formatURL } from './lib/helper.js'
 
 // from .env
 const BLOCKCHAIN_PRIVATEKEY = process.env.BLOCKCHAIN_PRIVATEKEY
-const USER_WALLET = process.env.USER_WALLET
+// (keys are checksummed per network, so each network has its own wallet file, see ChainSpec.networkPath)
+const USER_WALLET = process.env.USER_WALLET && ChainSpec.networkPath('USER_WALLET', { file: true })
 
 function walletInfo(){
     debug( `wallet options:`)
@@ -17,6 +19,7 @@ function walletInfo(){
     debug( `- ./api.sh send {sender} {receiver} {amount} {miner-server-api-url} [*][note]` ) // can attach a note to transaction
     debug( `- ./api.sh transaction-verify {hash1}[,hash2,...] {miner-server-api-url}`)
     debug( `- ./api.sh examine {hash} {miner-server-api-url}` )
+    debug( `- ./api.sh wallet-proof {walletname} {miner-server-api-url}` )
     debug( `- ./api.sh token-create {token} {+/- amount} {admin-user} {miner-server-api-url}` )
     debug( `- ./api.sh token-supply {token} {+/- amount} [{auth-signing}] {miner-server-api-url}` )
     debug( `- ./api.sh token-airdrop {token}{amount} {walletname} {miner-server-api-url}` )
@@ -33,7 +36,7 @@ async function commandLineProcess(){
     userTransactionHandler.setHelperClasses(userWallet)
 
     let response = false
-    let miner_url = formatURL('localhost:5000')
+    let miner_url = formatURL('localhost:' + userTransactionHandler.chainSpec.defaultPort)
     let token = userTransactionHandler.BASE_TOKEN
     // default path for the user wallet
     const [ method, param1, param2, param3, param4, param5, param6, param7 ] = process.argv.slice(2)
@@ -396,12 +399,30 @@ async function commandLineProcess(){
                     console.log( `${verify.hash}: No available block; it's invalid.`)
                 } else {
                     const result = userTransactionHandler.merkleVerify(verify.hash, verify.proof, verify.merkleRoot)
-                    console.log( `${verify.hash}: VALID -- merkle proof PASSED for server, found in block (#${verify.block.index}) created on (${verify.block.timestamp})` )
+                    console.log( `${verify.hash}: VALID -- merkle proof PASSED for server, found in block (#${verify.block.index}) created on (${verify.block.timestamp}); `
+                                +`${verify.confirmations} confirmations, ${verify.final ? 'FINAL' : 'not final yet'}` )
                 }
             })
             break
             }
 
+        case 'wallet-proof': {// merkle proof of the wallet's on-chain state against the state root in the latest block header
+            if( param2 ) miner_url = formatURL(param2)
+
+            response = await urlCall({ url: miner_url + 'node/wallets/proof?address=' + userWallet.buildNameWithPublicKey(name) })
+            if( response.error || !response.result ){
+                console.log( `  x no proof - aborting:`, response )
+                return
+            }
+            const { wallet, hash, proof, stateRoot, header, confirmations, final } = response.result
+            if( Crypto.hash(wallet) === hash && Crypto.merkleVerify(hash, proof, stateRoot) && header.stateRoot === stateRoot )
+                console.log( `${name}: VALID -- state proof PASSED against block #${header.index} (${header.hash}); ${confirmations} confirmations, ${final ? 'FINAL' : 'not final yet'}; `
+                            +`seq ${wallet.seq}, balances: ${Object.entries(wallet.tokens).map( ([token, t]) => `${token}${t.balance}` ).join(', ')}` )
+            else
+                console.log( `${name}: INVALID -- state proof FAILED against block #${header.index}` )
+            break
+            }
+
         case 'examine': {// merkle tree proof returned, thus proving the node has the transaction
             const hash = param1 // may be multiple hashes comma separated
             if( param2 ) miner_url = formatURL(param2)
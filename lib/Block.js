@@ -8,22 +8,33 @@
  * 
  * This is the BLOCK class, so all methods and data here should be 
  * ONLY related to the perspective of the Block()
+ *
+ * As BTC, the block hash is over the header only: the transactions are
+ * committed to by the merkleRoot in it. So a header (getHeader) can be
+ * checked on its own (ex. its proof-of-work) before fetching the transactions.
+ * Likewise the stateRoot commits to every wallet's balances and seq after the
+ * block, so one balance can be proven against a header (see Wallet.stateProof).
  * ***********************************************************************/
 
-import fs from 'fs'
 import path from 'path'
-// import { unpack, pack } from 'msgpackr' // for file data compression
-import { brotliCompressSync, brotliDecompressSync } from 'zlib' // for file data compression
 import { time, debug, errorWithData } from './helper.js'
 import Crypto from './Crypto.js'
+import BlockStoreFiles from './BlockStoreFiles.js'
+import BlockStoreLog from './BlockStoreLog.js'
 
-const BLOCK_FILE_COMPRESS = false
+// from .env
+const BLOCK_STORE = process.env.BLOCK_STORE || 'files'     // how blocks are kept on disk (see BlockStore)
+
+// block stores, chosen by BLOCK_STORE
+const BLOCK_STORES = { files: BlockStoreFiles, log: BlockStoreLog }
 
 // Block Class ==================================================================
 export default class Block {
+    static stores = {} // data folder -> its block store (see openStore)
+
     // instantiable part of Block()
-    constructor({ index = 0, prevHash = '0', version = '', timestamp = time(), minerName, merkleRoot, nonce = 0, 
-                  powTime = 0, transactions = [] }, options = {}){ 
+    constructor({ index = 0, prevHash = '0', version = '', timestamp = time(), minerName, merkleRoot, bits = 0, nonce = 0, 
+                  stateRoot = '', stateHash = '', seal = '', powTime = 0, chainWork = '0', transactions = [] }, options = {}){ 
 
         const { readOnly = false, forceOverwrite = false, nodeName, dataPath } = options
         
@@ -35,14 +46,20 @@ export default class Block {
             version,
             timestamp: index>0 ? timestamp : 0,
             minerName,
-            merkleRoot: merkleRoot || '',
+            merkleRoot: merkleRoot || '', // root of the merkle tree of the transaction hashes, commits to them
+            stateRoot, // root of the merkle tree of the wallet states after this block (see Wallet.stateRoot); not on genesis
+            bits, // compact-encoded hash target this block must be mined below (as BTC nBits)
             nonce,
+            stateHash, // snapshot blocks only (every chain-spec snapshot.interval): hash of the ledger state before it
+            // -- NOT HASHED (committed to by merkleRoot) --
             transactions, // "data" in block
             // -- HASH INITIALLY 0 ----
             hash: 0,
+            seal, // signature over the hash, by engines that sign blocks (see ConsensusPoA)
             // ------------------------
             // not part of written block; object administration only
             powTime,
+            chainWork, // cumulative work of chain up to this block (BigInt as string), set by Blockchain
             // ------------------------
             // used locally for block methods but not written to block data
             options,
@@ -80,72 +97,123 @@ export default class Block {
             timestamp: this.timestamp,
             minerName: this.minerName,
             merkleRoot: this.merkleRoot,
+            ...(this.stateRoot ? { stateRoot: this.stateRoot } : {}),
+            bits: this.bits,
             nonce: this.nonce,
-            transactions: this.transactions,
+            // only on snapshot blocks, so the hash of every other block stays as it was
+            ...(this.stateHash ? { stateHash: this.stateHash } : {}),
             // -------------------------
+            transactions: this.transactions,
             hash: this.hash,
+            seal: this.seal,
             powTime: this.powTime, // used by this mining-server to check on power-usage
+            chainWork: this.chainWork,
         }
         if( onlyHashableData ) {
+            delete blockData.transactions
             delete blockData.hash
+            delete blockData.seal
             delete blockData.powTime
+            delete blockData.chainWork
         }
         return blockData
     }
 
-    filePath(createPath = false){
-        const directory = path.join(this.options.dataPath, this.options.nodeName)
-        // create path if nonexistant, files are format '000001.json'
-        if (createPath && !fs.existsSync(directory)) fs.mkdirSync(directory, { recursive: true })
-        return path.join(directory, `${'0'.repeat(6-this.index.toString().length)}${this.index}.json`) + (BLOCK_FILE_COMPRESS ? '.br' : '')
+    // header-only: all hashed fields (merkleRoot standing in for the transactions), plus the hash and seal
+    getHeader() {
+        const { transactions, powTime, chainWork, ...header } = this.getData()
+        return header
+    }
+
+    // the transactions are the ones the header committed to
+    isMerkleValid() {
+        if( !Array.isArray(this.transactions) || this.transactions.length < 1 ) return false
+        return Crypto.merkleBuild( this.transactions ).pop()[0] === this.merkleRoot
+    }
+
+    // the store for a node's data folder (one per folder, shared by all its blocks)
+    static openStore( dataPath, nodeName ){
+        const directory = path.join(dataPath, nodeName)
+        if( !Block.stores[directory] ){
+            const store = BLOCK_STORES[BLOCK_STORE]
+            if( !store )
+                throw errorWithData( `Unknown BLOCK_STORE '${BLOCK_STORE}', choices: ${Object.keys(BLOCK_STORES).join(', ')}` )
+            Block.stores[directory] = new store( directory )
+        }
+        return Block.stores[directory]
+    }
+
+    // key the block is stored under, '000001' (side-branch blocks: 'branches/000001-{hash}', as several can exist for an index)
+    static storeKey( index, hash = '', branch = false ){
+        return `${branch ? 'branches/' : ''}${'0'.repeat(6-index.toString().length)}${index}${branch ? '-'+hash : ''}`
+    }
+
+    store(){
+        return Block.openStore( this.options.dataPath, this.options.nodeName )
+    }
+
+    storeKey(){
+        return Block.storeKey( this.index, this.hash, this.options.branch )
     }
 
     deleteData() {
-        const filePath = this.filePath()
-        if( fs.existsSync(filePath) )
-            fs.unlinkSync(filePath);
+        this.store().delete( this.storeKey() )
     }
 
     readData() {
-        let blockData = false
-
-        const filePath = this.filePath()        
-        if( fs.existsSync(filePath) ){
-            blockData = fs.readFileSync(filePath)
-            if( BLOCK_FILE_COMPRESS ) blockData = brotliDecompressSync(blockData).toString()
-            blockData = JSON.parse( blockData )
-        }
-        return blockData
+        return this.store().get( this.storeKey() )
     }
 
     writeData(forceOverwrite = false) {
-        const filePath = this.filePath()
-        if( !forceOverwrite && fs.existsSync(filePath) ){
+        if( !forceOverwrite && this.store().has(this.storeKey()) ){
             debug( 1, `<red>ERROR:</> - already exists, immutable, cannot over-writing block, CRITICAL error.`)
             return false
         }
-        
-        const blockData = this.getData()
 
-        const writeData = BLOCK_FILE_COMPRESS ? brotliCompressSync(Buffer.from(JSON.stringify(blockData))) : JSON.stringify(blockData, null, 2)
-        fs.writeFileSync(filePath, writeData)
+        this.store().put( this.storeKey(), this.getData() )
         return true
     }
 
     calcHash( blockData ) {
-        // gather all parts of the Block that are tracked by hash into a string that we generate sha256 on, defaults to above
+        // gather all parts of the Block header that are tracked by hash into a string that we generate sha256 on, defaults to above
         if( !blockData ) blockData = this.getData(true)
 
         return Crypto.hashRaw( blockData, 'hex' )
     }
 
-    isHashValid(difficulty, hash) {
-        const hashPrefix = '0'.repeat(difficulty)
-        return hash.startsWith(hashPrefix) && !hash.startsWith(hashPrefix+'0')
+    // compact target format (as BTC nBits): 1 byte exponent (length of target in bytes) + 3 byte mantissa,
+    // ie. target = mantissa * 256^(exponent-3); ex. 0x1f00ffff -> 0x00ffff000...000 (hash needs ~4 leading hex-zeros)
+    static bitsToTarget(bits) {
+        const exponent = BigInt(bits >>> 24)
+        const mantissa = BigInt(bits & 0x007fffff)
+        return exponent <= 3n ? mantissa >> (8n * (3n - exponent)) : mantissa << (8n * (exponent - 3n))
+    }
+
+    static targetToBits(target) {
+        let size = target.toString(16).replace(/^0+/, '').length
+        size = Math.ceil(size / 2) // bytes
+        let mantissa = size <= 3 ? Number(target) << (8 * (3 - size)) : Number(target >> BigInt(8 * (size - 3)))
+        // top mantissa bit is a sign-bit in the format, so if set shift down a byte
+        if( mantissa & 0x00800000 ){
+            mantissa >>= 8
+            size++
+        }
+        return ((size << 24) | mantissa) >>> 0
+    }
+
+    // expected number of hashes to find a block below this target: 2^256 / (target+1)
+    static calcWork(bits) {
+        return (1n << 256n) / (Block.bitsToTarget(bits) + 1n)
+    }
+
+    // hash (as a 256-bit number) must be at or below the target, the lower the target the more work to find one
+    isHashValid(bits, hash) {
+        if( !bits || typeof(hash) !== 'string' || hash.length !== 64 ) return false
+        return BigInt('0x' + hash) <= Block.bitsToTarget(bits)
     }
 
     // Proof-of-Work mining for the block; can limit to try for X iterations
-    mine(difficulty = 1, nonce = undefined, iterations = undefined) {
+    mine(bits = this.bits, nonce = undefined, iterations = undefined) {
         const start = time()
         let hash
 
@@ -156,13 +224,13 @@ export default class Block {
         else
             this.nonce = nonce
         
-        // find a hash that starts with some number of '0's (but NO excess 0s!), as per BTC paper
+        // find a hash that is numerically below the target, as per BTC paper
         this.nonce-- // decrease nonce as it is immediately increased below (so first hash at starting nonce)
         do {
             this.nonce++
             if( iterations !== undefined ) iterations--
             hash = this.calcHash() // 'work'
-            if( this.isHashValid(difficulty, hash) ) break
+            if( this.isHashValid(bits, hash) ) break
         } while ( iterations === undefined || iterations > 0 )
 
         // track time to generate PoW (in seconds), if iteration count given, we aggregate powTime
@@ -173,6 +241,6 @@ export default class Block {
 
         // boolean: indicate if we found valid hash
         this.hash = hash
-        return this.isHashValid(difficulty, this.hash)
+        return this.isHashValid(bits, this.hash)
     }
 }
\ No newline at end of file
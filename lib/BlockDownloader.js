@@ -0,0 +1,123 @@
+/**************************************************************************
+ * Block Download Manager
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Once a peer's headers check out (see P2P.syncPeerBlocks), the blocks for
+ * them are fetched from all our healthy peers at once: the range is split
+ * into batches (as many as /blocks gives per call), each peer works on one
+ * batch at a time, and a batch that fails (no answer, timed out, blocks not
+ * the ones the headers promised) goes back in the queue for another peer. A
+ * peer sending blocks that don't hash to their header, or whose transactions
+ * aren't the ones its merkleRoot commits to, is asked for nothing more.
+ *
+ * Batches are handed over in chain order as soon as they (and all before
+ * them) are in, so blocks get added while the rest are still downloading.
+ *
+ * So one slow peer can't hold up the sync, once the queue is empty idle peers
+ * also fetch batches still outstanding (first answer wins).
+ *
+ * Pruned peers (their 'prunedTo' in the peers table) only get asked for
+ * blocks they still have whole; older history comes from archive nodes.
+ * ***********************************************************************/
+
+import { debug } from './helper.js'
+import Block from './Block.js'
+
+const BATCH_SIZE = 100          // blocks per request (most /blocks gives in one call)
+const BATCH_TIMEOUT = 30        // seconds to wait on a peer for a batch before handing it to another
+const BATCH_MAX_FETCHING = 2    // peers fetching the same outstanding batch at once (when the queue is empty)
+const PEER_MAX_FAILS = 2        // failed batches before a peer sits out the rest of a download
+
+export default class BlockDownloader {
+    constructor( P2P ){
+        this.P2P = P2P
+    }
+
+    // download the blocks for headers (the chain after forkIndex) from peers, calling onBlocks( blocks ) for each
+    // batch in chain order; if onBlocks throws, the download stops there
+    async download( forkIndex, headers, peers, onBlocks ){
+        const batches = []
+        for( let start = 0; start < headers.length; start += BATCH_SIZE )
+            batches.push({ start, count: Math.min(BATCH_SIZE, headers.length - start), blocks: false, fetching: [] })
+
+        const queue = [ ...batches ], fails = {}
+        let delivered = 0, blockCnt = 0, error = false, finished
+        const done = new Promise( resolve => finished = resolve )
+
+        // pass on completed batches, in order
+        const deliver = () => {
+            while( !error && delivered < batches.length && batches[delivered].blocks ){
+                const { blocks } = batches[delivered]
+                try {
+                    onBlocks( blocks )
+                    blockCnt += blocks.length
+                } catch( e ){
+                    error = `block #${blocks[0].index}-${blocks.at(-1).index}: ${e.message}`
+                }
+                batches[delivered++].blocks = true // free the memory, only the order matters now
+            }
+            if( error || delivered === batches.length ) finished()
+        }
+
+        // each peer: take the next batch in line it can serve (or help with an outstanding one), till none left
+        const worker = async hostname => {
+            const canServe = batch => forkIndex + 1 + batch.start >= (this.P2P.peers[hostname]?.prunedTo || 0)
+            while( !error && delivered < batches.length && (fails[hostname] || 0) < PEER_MAX_FAILS ){
+                const next = queue.findIndex( canServe )
+                const batch = next > -1 ? queue.splice(next, 1)[0]
+                    : batches.find( b => !b.blocks && b.fetching.length > 0 && b.fetching.length < BATCH_MAX_FETCHING && !b.fetching.includes(hostname) && canServe(b) )
+                if( !batch ) return
+
+                batch.fetching.push( hostname )
+                const result = await this.fetchBatch( hostname, forkIndex, headers, batch )
+                batch.fetching = batch.fetching.filter( host => host !== hostname )
+
+                if( result.error ){
+                    fails[hostname] = result.bad ? PEER_MAX_FAILS : (fails[hostname] || 0) + 1
+                    debug('dim', `   ! [${hostname}] blocks #${forkIndex + 1 + batch.start}+${batch.count} failed (${result.error}), handing to another peer`)
+                    if( !batch.blocks && batch.fetching.length < 1 && !queue.includes(batch) ) queue.unshift( batch )
+                    continue
+                }
+                // another peer may have beaten us to it
+                if( !batch.blocks ){
+                    batch.blocks = result.blocks
+                    deliver()
+                }
+            }
+        }
+
+        debug('cyan', ` > downloading ${headers.length} blocks (#${forkIndex + 1}-#${forkIndex + headers.length}) in ${batches.length} batches from ${peers.length} peers`)
+        // done once all are in (no waiting on a straggler for a batch another peer already gave us), or no peer is left to ask
+        await Promise.race([ done, Promise.all( peers.map( worker ) ) ])
+
+        if( !error && delivered < batches.length )
+            error = `no peer could provide blocks from #${forkIndex + 1 + batches[delivered].start}`
+        return { error, blockCnt }
+    }
+
+    // one batch from one peer: must be exactly the blocks the headers promised
+    async fetchBatch( hostname, forkIndex, headers, { start, count } ){
+        let timer
+        const timeout = new Promise( resolve => { timer = setTimeout( () => resolve({ error: `no answer in ${BATCH_TIMEOUT}s` }), BATCH_TIMEOUT * 1000 ) })
+        const response = await Promise.race([ this.P2P.callPeer( hostname, `blocks?fromIndex=${forkIndex + 1 + start}` ), timeout ])
+        clearTimeout( timer )
+        if( response.error ) return response
+
+        const blocks = Array.isArray(response.result) ? response.result.slice( 0, count ) : []
+        if( blocks.length < count )
+            return { error: `only sent ${blocks.length} of ${count} blocks` }
+        if( blocks.some( block => block.pruned ) )
+            return { error: `pruned, only has blocks from #${response.prunedTo}` }
+        // the header fields must hash to the header's hash, and the transactions be the ones its merkleRoot commits to
+        const mismatch = blocks.find( (blockData, idx) => {
+            const block = new Block( blockData, { forceOverwrite: true } )
+            return block.hash !== headers[start + idx].hash || !block.isMerkleValid()
+        })
+        if( mismatch )
+            return { error: `block #${mismatch.index} doesn't match its header`, bad: true }
+        return { blocks }
+    }
+}
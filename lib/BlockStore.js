@@ -0,0 +1,106 @@
+/**************************************************************************
+ * Block Storage Interface
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Where block data is kept on disk lives behind this interface, so the
+ * Block/Blockchain don't care about the layout. The store is picked by
+ * BLOCK_STORE in .env (see Block.openStore):
+ * - 'files' (default): a file per block, '000001.json' in the node data
+ *   folder (side-branch blocks: 'branches/000001-{hash}.json')
+ * - 'log': blocks appended to segment files, found by an offset index
+ *   (fewer, bigger files; see BlockStoreLog)
+ *
+ * Blocks are stored under a key: '000001' for the block at that index on our
+ * chain, 'branches/000001-{hash}' for a side-branch block (see Block.storeKey).
+ *
+ * Block data is encoded as BLOCK_ENCODING in .env: 'json' (default),
+ * 'msgpack' (binary, smaller), or either brotli-compressed ('json+br',
+ * 'msgpack+br'). Each stored block starts with a marker naming its encoding
+ * ('BLK:msgpack+br\n'), so blocks in any encoding read back whatever is set
+ * now (blocks without one are plain JSON, as written before encodings); the
+ * encoding of stored blocks is changed with migrate.js.
+ *
+ * A store implements:
+ * - put(key, blockData): store a block (replacing any under that key)
+ * - get(key): the block data stored under key, or false
+ * - has(key): is there a block under key
+ * - delete(key): remove it (nothing if not there)
+ * - keys(folder): the keys in a folder ('': our chain, 'branches': side-branches), sorted
+ * ***********************************************************************/
+
+import { Packr } from 'msgpackr'
+import { brotliCompressSync, brotliDecompressSync } from 'zlib'
+import { errorWithData } from './helper.js'
+
+// from .env
+const BLOCK_ENCODING = process.env.BLOCK_ENCODING || 'json'    // how blocks are encoded when stored (see above)
+
+const ENCODINGS = [ 'json', 'msgpack', 'json+br', 'msgpack+br' ]
+const MARKER = Buffer.from('BLK:')  // start of a stored block: 'BLK:{encoding}\n', then the encoded block
+const msgpack = new Packr({ useRecords: false }) // plain msgpack maps, readable by any msgpack library
+
+export default class BlockStore {
+    constructor( directory, name ){
+        this.directory = directory
+        this.name = name
+        this.setEncoding( BLOCK_ENCODING )
+    }
+
+    // encoding blocks are stored in from now on (those stored already are read back in theirs)
+    setEncoding( encoding ){
+        if( !ENCODINGS.includes(encoding) )
+            throw errorWithData( `Unknown block encoding '${encoding}', choices: ${ENCODINGS.join(', ')}` )
+        this.encoding = encoding
+    }
+
+    put( key, blockData ){
+        throw errorWithData( `${this.name} block store does not implement put()` )
+    }
+
+    get( key ){
+        throw errorWithData( `${this.name} block store does not implement get()` )
+    }
+
+    has( key ){
+        return this.get( key ) !== false
+    }
+
+    delete( key ){
+        throw errorWithData( `${this.name} block store does not implement delete()` )
+    }
+
+    keys( folder = '' ){
+        throw errorWithData( `${this.name} block store does not implement keys()` )
+    }
+
+    // blockData as stored: marker, then the block (JSON pretty-printed if asked, for block files people may look at)
+    static encode( blockData, encoding, pretty = false ){
+        const [ format, compression ] = encoding.split('+')
+        let data = format === 'msgpack' ? msgpack.pack(blockData) : Buffer.from(JSON.stringify(blockData, null, pretty && !compression ? 2 : 0))
+        if( compression === 'br' ) data = brotliCompressSync(data)
+        return Buffer.concat([ MARKER, Buffer.from(encoding + '\n'), data ])
+    }
+
+    // blockData back from what encode() gave, whatever the encoding
+    static decode( data ){
+        // no marker: plain JSON
+        if( !data.subarray(0, MARKER.length).equals(MARKER) ) return JSON.parse( data.toString() )
+
+        const end = data.indexOf('\n')
+        const encoding = data.subarray(MARKER.length, end).toString()
+        if( !ENCODINGS.includes(encoding) )
+            throw errorWithData( `Stored block has an unknown encoding (${encoding.slice(0, 20)}), can't read it.` )
+        const [ format, compression ] = encoding.split('+')
+        let body = data.subarray(end + 1)
+        if( compression === 'br' ) body = brotliDecompressSync(body)
+        return format === 'msgpack' ? msgpack.unpack(body) : JSON.parse( body.toString() )
+    }
+
+    // folder part of a key ('' for our chain's blocks)
+    static keyFolder( key ){
+        return key.includes('/') ? key.slice(0, key.lastIndexOf('/')) : ''
+    }
+}
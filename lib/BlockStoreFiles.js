@@ -0,0 +1,79 @@
+/**************************************************************************
+ * File-per-Block Storage
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * The original layout: each block is its own file in the node data folder,
+ * named by its key, ex. '000001.json', side-branch blocks
+ * 'branches/000001-{hash}.json'. Easy to look at (JSON blocks are
+ * pretty-printed), but a long chain means a lot of small files.
+ *
+ * The extension follows the encoding ('000001.msgpack.br'), though the
+ * marker in the file is what it's read by; a block is found in any encoding.
+ * ***********************************************************************/
+
+import fs from 'fs'
+import path from 'path'
+
+import { writeFileAtomic } from './helper.js'
+
+import BlockStore from './BlockStore.js'
+
+const FILE_EXTENSIONS = { json: '.json', msgpack: '.msgpack', 'json+br': '.json.br', 'msgpack+br': '.msgpack.br' }
+
+export default class BlockStoreFiles extends BlockStore {
+    constructor( directory ){
+        super( directory, 'files' )
+    }
+
+    filePath( key, encoding = this.encoding ){
+        return path.join(this.directory, key + FILE_EXTENSIONS[encoding])
+    }
+
+    // the block's file, in whichever encoding it was stored (ours first); false if none
+    findFile( key ){
+        for( const encoding of [ this.encoding, ...Object.keys(FILE_EXTENSIONS).filter( e => e !== this.encoding ) ] )
+            if( fs.existsSync(this.filePath(key, encoding)) ) return this.filePath(key, encoding)
+        return false
+    }
+
+    put( key, blockData ){
+        const filePath = this.filePath(key)
+        // create path if nonexistant
+        if( !fs.existsSync(path.dirname(filePath)) ) fs.mkdirSync(path.dirname(filePath), { recursive: true })
+        writeFileAtomic(filePath, BlockStore.encode(blockData, this.encoding, true))
+
+        // only ever one file per block: drop any it had in another encoding
+        for( const encoding of Object.keys(FILE_EXTENSIONS) )
+            if( encoding !== this.encoding && fs.existsSync(this.filePath(key, encoding)) ) fs.unlinkSync(this.filePath(key, encoding))
+    }
+
+    get( key ){
+        const filePath = this.findFile(key)
+        return filePath ? BlockStore.decode( fs.readFileSync(filePath) ) : false
+    }
+
+    has( key ){
+        return this.findFile(key) !== false
+    }
+
+    delete( key ){
+        let filePath
+        while( (filePath = this.findFile(key)) ) fs.unlinkSync(filePath)
+    }
+
+    keys( folder = '' ){
+        const directory = path.join(this.directory, folder)
+        if( !fs.existsSync(directory) ) return []
+
+        // only block files (the folder also has the wallet, headers/ledger of a pruned node, ...)
+        const keys = new Set()
+        for( const fileName of fs.readdirSync(directory).filter( fileName => /^\d{6}/.test(fileName) ) ){
+            const extension = Object.values(FILE_EXTENSIONS).find( extension => fileName.endsWith(extension) )
+            if( extension ) keys.add( (folder ? folder + '/' : '') + fileName.slice(0, -extension.length) )
+        }
+        return [ ...keys ].sort()
+    }
+}
@@ -0,0 +1,195 @@
+/**************************************************************************
+ * Append-only Log Block Storage
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Blocks are appended (encoded, see BlockStore) to segment files in 'blocks/' of
+ * the node data folder ('segment-000001.log', ...), a new segment started
+ * once one reaches SEGMENT_MAX bytes. Nothing in a segment is rewritten.
+ *
+ * Where each block is, is kept in an offset index (key -> segment, offset,
+ * length), itself an append-only log ('index.log'): a line per block stored,
+ * and a 'deleted' line per block removed; replayed on start. Once it's mostly
+ * stale lines it's rewritten with just the live entries.
+ *
+ * A deleted (or replaced) block stays in its segment as dead space; a segment
+ * with no live blocks left is removed. Blocks are mostly deleted oldest first
+ * (pruning) or within the last few segments (reorgs, side-branches), so little
+ * dead space lingers.
+ *
+ * The segment is written (and flushed to disk) before the index, so stopping
+ * in between leaves at most an unindexed block (dead space), never an index
+ * entry to nothing.
+ * ***********************************************************************/
+
+import fs from 'fs'
+import path from 'path'
+import { appendFileSynced, writeFileAtomic, debug, errorWithData } from './helper.js'
+
+import BlockStore from './BlockStore.js'
+
+const SEGMENT_MAX = 64 * 1024 * 1024    // bytes in a segment file before starting the next
+const INDEX_COMPACT_MIN = 1000          // index lines before rewriting it (if over half are stale) is worth it
+
+export default class BlockStoreLog extends BlockStore {
+    constructor( directory ){
+        super( path.join(directory, 'blocks'), 'log' )
+        this.index = new Map()      // key -> { segment, offset, length }
+        this.segments = new Map()   // segment number -> { size, live } (live: indexed blocks in it)
+        this.current = 1            // segment being appended to
+        this.indexLines = 0         // lines in the index file (live + stale)
+
+        if( !fs.existsSync(this.directory) ) fs.mkdirSync(this.directory, { recursive: true })
+        this.loadIndex()
+    }
+
+    segmentFile( segment ){
+        return path.join(this.directory, `segment-${String(segment).padStart(6, '0')}.log`)
+    }
+
+    indexFile(){
+        return path.join(this.directory, 'index.log')
+    }
+
+    loadIndex(){
+        for( const fileName of fs.readdirSync(this.directory) ){
+            const match = fileName.match(/^segment-(\d+)\.log$/)
+            if( match ) this.segments.set( Number(match[1]), { size: fs.statSync(path.join(this.directory, fileName)).size, live: 0 } )
+        }
+        this.current = Math.max( 1, ...this.segments.keys() )
+
+        // the segments alone don't say which block is where: rather than take them for empty (and drop them), refuse
+        if( !fs.existsSync(this.indexFile()) && [ ...this.segments.values() ].some( ({ size }) => size > 0 ) )
+            throw errorWithData( `Block store (${this.directory}) has segment files but no index (index.log), unable to tell which blocks they hold; `
+                                +`remove the '${this.directory}' folder (and the node's ledger/headers files) to re-sync the chain.` )
+        // a new store starts with an (empty) index, so a crash before its first line isn't taken for a lost one
+        if( !fs.existsSync(this.indexFile()) ) fs.writeFileSync( this.indexFile(), '' )
+
+        let damaged = false
+        if( fs.existsSync(this.indexFile()) ){
+            for( const line of fs.readFileSync(this.indexFile(), 'utf8').split('\n') ){
+                if( !line ) continue
+                let entry
+                try {
+                    entry = JSON.parse(line)
+                } catch( e ){
+                    // a partly written line (stopped mid-write), the block it was for is dead space
+                    debug( 1, `<red>ERROR:</> block index line unreadable, skipping: ${line.slice(0, 80)}` )
+                    damaged = true
+                    continue
+                }
+                this.indexLines++
+                this.unindex( entry.key, false )
+                if( !entry.deleted ) this.indexEntry( entry )
+            }
+        }
+
+        // an entry for a block its segment doesn't (fully) have is no good
+        for( const [key, { segment, offset, length }] of this.index )
+            if( !this.segments.has(segment) || offset + length > this.segments.get(segment).size ){
+                debug( 1, `<red>ERROR:</> block ${key} missing from ${this.segmentFile(segment)}, dropping it from the index` )
+                this.unindex( key, false )
+            }
+        this.dropDeadSegments()
+        // rewrite it whole, so the next line isn't appended onto the broken one
+        if( damaged ) this.rewriteIndex()
+        debug( 3, `<cyan>~ block store: ${this.index.size} blocks in ${this.segments.size} segments</>` )
+    }
+
+    // blocks in a new encoding go in a new segment, so once all are rewritten in it (see migrate.js) the old ones are dropped
+    setEncoding( encoding ){
+        if( this.encoding && encoding !== this.encoding && this.segments.has(this.current) ) this.current++
+        super.setEncoding( encoding )
+    }
+
+    put( key, blockData ){
+        const data = BlockStore.encode(blockData, this.encoding)
+
+        // start a new segment when the current one is full
+        if( this.segments.get(this.current)?.size > 0 && this.segments.get(this.current).size + data.length > SEGMENT_MAX ) this.current++
+        if( !this.segments.has(this.current) ) this.segments.set( this.current, { size: 0, live: 0 } )
+        const segment = this.segments.get(this.current)
+        appendFileSynced(this.segmentFile(this.current), data)
+        const entry = { key, segment: this.current, offset: segment.size, length: data.length }
+        segment.size += data.length
+
+        this.appendIndex( entry )
+        this.unindex( key )
+        this.indexEntry( entry )
+        this.compactIndex()
+    }
+
+    get( key ){
+        const entry = this.index.get(key)
+        if( !entry ) return false
+
+        const data = Buffer.alloc(entry.length)
+        const fd = fs.openSync(this.segmentFile(entry.segment), 'r')
+        try {
+            fs.readSync(fd, data, 0, entry.length, entry.offset)
+        } finally {
+            fs.closeSync(fd)
+        }
+        return BlockStore.decode( data )
+    }
+
+    has( key ){
+        return this.index.has(key)
+    }
+
+    delete( key ){
+        if( !this.index.has(key) ) return
+        this.appendIndex({ key, deleted: true })
+        this.unindex( key )
+        this.compactIndex()
+    }
+
+    keys( folder = '' ){
+        return [ ...this.index.keys() ].filter( key => BlockStore.keyFolder(key) === folder ).sort()
+    }
+
+    indexEntry( { key, segment, offset, length } ){
+        this.index.set( key, { segment, offset, length } )
+        if( this.segments.has(segment) ) this.segments.get(segment).live++
+    }
+
+    // forget where key was; its segment goes once nothing in it is live (unless still loading)
+    unindex( key, dropSegment = true ){
+        const entry = this.index.get(key)
+        if( !entry ) return
+        this.index.delete(key)
+        const segment = this.segments.get(entry.segment)
+        if( !segment ) return
+        segment.live--
+        if( dropSegment ) this.dropDeadSegments()
+    }
+
+    dropDeadSegments(){
+        for( const [number, { live }] of this.segments )
+            if( live < 1 && number !== this.current ){
+                fs.rmSync(this.segmentFile(number), { force: true })
+                this.segments.delete(number)
+                debug( 3, `<dim>~ block store: removed segment ${number} (no live blocks left)</>` )
+            }
+    }
+
+    appendIndex( entry ){
+        appendFileSynced(this.indexFile(), JSON.stringify(entry) + '\n')
+        this.indexLines++
+    }
+
+    // mostly stale lines: rewrite with just the live entries
+    compactIndex(){
+        if( this.indexLines > INDEX_COMPACT_MIN && this.indexLines > 2 * this.index.size )
+            this.rewriteIndex()
+    }
+
+    // (atomically, so there's always a whole index)
+    rewriteIndex(){
+        const lines = [ ...this.index ].map( ([key, { segment, offset, length }]) => JSON.stringify({ key, segment, offset, length }) + '\n' )
+        writeFileAtomic(this.indexFile(), lines.join(''))
+        this.indexLines = lines.length
+    }
+}
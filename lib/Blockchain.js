@@ -12,32 +12,69 @@
 
 import fs from 'fs'
 import path from 'path'
-import { fixRounding, time, debug, errorWithData } from './helper.js'
+import { fixRounding, networkTime, writeFileAtomic, debug, errorWithData } from './helper.js'
 
 import Block from './Block.js'
+import OrphanPool from './OrphanPool.js'
+import ChainIndex from './ChainIndex.js'
+import Finality from './Finality.js'
+import Deployments from './Deployments.js'
+import ConsensusPoW from './ConsensusPoW.js'
+import ConsensusPoA from './ConsensusPoA.js'
+import ConsensusPoS from './ConsensusPoS.js'
 import Crypto from './Crypto.js'
 
 //  from .env
-const DEBUG_MODE = process.env.DEBUG    // when on: limits block difficulty, outputs ledger after each addBlock
+const DEBUG_MODE = process.env.DEBUG    // when on: outputs ledger after each addBlock
+const CHECKPOINTS_CONFIG = process.env.CHECKPOINTS || ''                // extra checkpoints, format: 'index:hash,index:hash'
 
-// preset characteristics of this blockchain - hardcoded
-const GENESIS_ISSUE = 1000000000        // coin-pool size established at genesis
-const MINING_REWARD = 100               // initial mining reward
-const BLOCK_TIMESTAMP_TOLERANCE = 7200  // 30 mins, allow blocks to be off by up 2 hours
+// local policy, not consensus (network-wide characteristics of this blockchain are in the chain-spec file)
+const BRANCH_MAX_DEPTH = 100            // side-branches forking further back than this from our tip are dropped
+const HEADERS_MAX = 2000                // most block headers given out per request (see getHeaders)
+const PRUNE_MIN_DEPTH = BRANCH_MAX_DEPTH    // a pruned node keeps at least the blocks a reorg could still undo
+const PRUNE_BATCH = 100                 // prune once this many more blocks are past the depth (each prune rewrites the headers/ledger files)
+const SNAPSHOT_KEEP = 2                 // ledger snapshots kept on disk (latest first), for nodes bootstrapping from us
+
+// consensus engines, chosen by the chain-spec 'consensus.engine'
+const CONSENSUS_ENGINES = { pow: ConsensusPoW, poa: ConsensusPoA, pos: ConsensusPoS }
 
 // Blockchain Class ==============================================================
 export default class Blockchain {
     // updated passed in variables, and load blockchain from data source
-    constructor( version, nodeName, dataPath, TransactionHandler, Mempool, Wallet) {
+    constructor( version, nodeName, dataPath, TransactionHandler, Mempool, Wallet, chainSpec, pruneDepth = 0) {
         // variables used
         this.version = version
         this.nodeName = nodeName
         this.dataPath = dataPath
-        this.miningReward = MINING_REWARD // adjusted each block addition
-        this.difficulty = 1
+        // genesis, reward schedule, difficulty rules, block limits & checkpoints of this network
+        this.chainSpec = chainSpec
+        this.miningReward = chainSpec.reward.initial // adjusted each block addition
+        this.bits = 0 // target of the next block, if the engine has one (proof-of-work)
+        this.difficulty = 1 // human-readable: how many times harder than the easiest target (powLimitBits)
+        this.prepared = false // the block prepareBlockData last built, with its dry run (see preparedAudit)
+
+        // the consensus rules: sealing blocks, validating their headers, which chain to follow
+        const engine = CONSENSUS_ENGINES[chainSpec.consensus.engine]
+        if( !engine )
+            throw errorWithData( `Unknown consensus engine '${chainSpec.consensus.engine}' in chain-spec, choices: ${Object.keys(CONSENSUS_ENGINES).join(', ')}` )
+        this.Consensus = new engine( chainSpec, { nodeName, Wallet } )
+        // blocks deep enough (or signed by a quorum) are final: never reorganized
+        this.Finality = new Finality( chainSpec.finality.depth, this.Consensus )
+        // rule changes miners vote in through their block versions (soft forks)
+        this.Deployments = new Deployments( chainSpec.versionBits )
+        this.checkpoints = this.loadCheckpoints()
+        // pruned node: only the last pruneDepth blocks are kept whole, older ones just their header (see prune)
+        this.pruneDepth = pruneDepth > 0 ? Math.max( pruneDepth, PRUNE_MIN_DEPTH, chainSpec.finality.depth ) : 0
+        this.prunedTo = 0 // blocks below this index have no transactions (body) on this node
 
         // our actual chain
         this.chain = [] 
+        // competing side-branch blocks (not on our chain), keyed by hash; kept in case their branch becomes heavier
+        this.branches = {}
+        // blocks that arrived before their parent, connected once it arrives
+        this.Orphans = new OrphanPool()
+        // where each block hash and transaction hash is on our chain (kept on disk, see ChainIndex)
+        this.ChainIndex = new ChainIndex( path.join(dataPath, nodeName) )
 
         // remember the classes
         this.TransactionHandler = TransactionHandler
@@ -46,8 +83,11 @@ export default class Blockchain {
 
         // lets load the chain
         // reset the wallet first
-        let loadBlockIndex = 0
-        // let block
+        // (pruned: the kept headers and ledger snapshot stand in for the dropped blocks, we load on from there)
+        this.checkDataFormat()
+        let loadBlockIndex = this.loadPruned()
+        // the wallet file is written once loaded, not for every block replayed
+        this.Wallet.holdWrites()
         while( 1 ){
             // pre-load only EXISTING blocks (uses the 'index' value to trigger loading), and add to chain
             try {
@@ -59,46 +99,118 @@ export default class Blockchain {
             }
             loadBlockIndex++
         }
+        // finish (or undo) adding a block we were stopped part way through
+        this.recoverJournal()
+        this.Wallet.releaseWrites()
+        // the replayed blocks skip the per-block stateRoot, so check once the wallets are as of our tip
+        this.checkStateRoot()
+        // anything indexed past what loaded isn't on our chain (ex. stopped before its block was stored)
+        this.ChainIndex.removeFrom( this.height() )
 
         // no existing blocks (errors at 0-aka-genesis block load), create genesis
-        if( loadBlockIndex < 1 ){
+        if( this.height() < 1 ){
             debug( 3, `<cyan>~ No existing blockchain, creating genesis block that specifies the money supply available</>`)
             // for our tracking our genesis defines our mint supply (BTC doesn't do this, they simply "mint" with block creation)
-            const genesisTransactions = this.TransactionHandler.tokenCreation(GENESIS_ISSUE)
-            const genesisBlockData = this.prepareBlockData(genesisTransactions, true)
+            const genesisTransactions = this.TransactionHandler.genesisTransactions()
+            const genesisBlockData = this.prepareBlockData(genesisTransactions)
             const addResult = this.addBlock(genesisBlockData, {forceOverwrite: true, txUpdate: true})
 
             debug( 3,`<cyan>~~ Genesis created with ${addResult.transactionCnt + addResult.adminCnt} transactions;</>`)
         }
+
+        // reload any side-branches we were keeping
+        this.loadBranches()
     }
 
     height() {
         return this.chain.length
     }
 
-    calcMiningReward({ index, update = true }){
-        // Reward for mining a block, decreases with every 10 blocks minted (ex. for real BTC: 50 / 2**Math.floor(index/210000); reward halves every 210,000 blocks)
-        // Freshly-mined coins cannot be spent until 100 blocks deep; this is HOW BTC is issued!
-        const miningReward = fixRounding( 100 / 2**Math.floor(index/10) )
+    // the wallets must be as our tip block's header says (ex. a wallet file or stored block changed since)
+    checkStateRoot(){
+        const tip = this.getBlock()
+        if( !tip || tip.index < 1 ) return
+
+        const stateRoot = this.Wallet.stateRoot( tip.index )
+        if( tip.stateRoot !== stateRoot )
+            throw errorWithData( `[checkStateRoot] Wallets loaded don't match the stateRoot of our block #${tip.index} (${tip.stateRoot || 'none'} vs ${stateRoot}): stored data changed? Remove the node data folder to re-sync from peers.`, { index: tip.index } )
+    }
+
+    // chain-spec checkpoints (known-good blocks { index: hash }), plus any configured (config wins for same index)
+    loadCheckpoints(){
+        const checkpoints = { ...this.chainSpec.checkpoints }
+        for( const checkpoint of CHECKPOINTS_CONFIG.split(',').filter( c => c.includes(':') ) ){
+            const [ index, hash ] = checkpoint.split(':').map( v => v.trim() )
+            if( Number(index) > 0 && hash ) checkpoints[Number(index)] = hash
+        }
+        if( Object.keys(checkpoints).length > 0 )
+            debug( 3, `<cyan>~ checkpoints: ${Object.keys(checkpoints).map( i => '#'+i ).join(', ')}</>`)
+        return checkpoints
+    }
+
+    lastCheckpointIndex(){
+        return Math.max( 0, ...Object.keys(this.checkpoints).map(Number) )
+    }
 
-        // mining nonce difficulty increase every 10 blocks (real BTC: every 2016 blocks to maintain block time of 10 minutes)
-        let difficulty = 2 + Math.floor(index/10)
-        // for debug limit how hard else it can get really slow
-        if( DEBUG_MODE && difficulty > 5) difficulty = 5
+    // throws if there's a checkpoint at this index and the block isn't it
+    checkCheckpoint( index, hash ){
+        const checkpointHash = this.checkpoints[index]
+        if( checkpointHash && checkpointHash !== hash )
+            throw errorWithData( `Block #${index} (${hash}) conflicts with checkpoint (${checkpointHash}), rejecting.`, { index, hash, checkpointHash } )
+    }
+
+    // once our chain reached a checkpoint, nothing may fork at or below it
+    isBelowCheckpoint( index ){
+        const lastIndex = this.lastCheckpointIndex()
+        return lastIndex > 0 && this.height() > lastIndex && index <= lastIndex
+    }
+
+    calcMiningReward({ index, update = true, chain = this.chain }){
+        // Reward for mining a block, halves every halvingInterval blocks minted (ex. for real BTC: 50 / 2**Math.floor(index/210000); reward halves every 210,000 blocks)
+        // Freshly-mined coins cannot be spent until reward.maturity blocks deep; this is HOW BTC is issued!
+        const { initial, halvingInterval } = this.chainSpec.reward
+        const miningReward = fixRounding( initial / 2**Math.floor(index/halvingInterval) )
+
+        // mining hash target (proof-of-work), adjusted by how fast recent blocks came in
+        const { bits, difficulty } = this.Consensus.nextTarget( index, chain )
 
         if( update ){
             this.miningReward = miningReward
+            this.bits = bits
             this.difficulty = difficulty
         }
-        return { miningReward, difficulty }
+        return { miningReward, bits, difficulty }
+    }
+
+    // what auditTransactions needs from the consensus engine: who must produce block #index, may it slash stake;
+    // and which voted-in rule changes (see Deployments) apply from this height
+    auditRules( index, chain ){
+        return { producer: this.Consensus.expectedProducer(index, chain), slashing: this.Consensus.slashing,
+                 deployments: this.Deployments.active(index, chain) }
+    }
+
+    // how deep the block at index is in our chain, and if it's final (see Finality)
+    blockStatus( index ){
+        return this.Finality.status( index, this.height() )
+    }
+
+    // cumulative work of a chain (see Consensus.blockWork): the heaviest chain wins, not simply the one with most blocks
+    getChainWork(){
+        return this.getBlock()?.chainWork || '0'
     }
 
     getBlock(index=-1) {
         if( index < -1 || index >= this.height() ) return false
         return this.chain.at(index)
     }
+
+    // the block on our chain with this hash (false if none)
+    getBlockByHash( hash ){
+        const index = this.ChainIndex.findBlock( hash )
+        return index !== false ? this.getBlock(index) : false
+    }
     
-    prepareBlockData(transactions) {
+    prepareBlockData(transactions, { minerName = this.nodeName } = {}) {
         transactions = this.TransactionHandler.removeMeta(transactions)
         // build merkle tree, grab the root value
         const merkleTree = Crypto.merkleBuild( transactions )
@@ -107,7 +219,7 @@ export default class Blockchain {
         let blockData
         if( this.height() === 0 ) {
             blockData = { 
-                index: 0, version: '1.0', 
+                index: 0, version: this.chainSpec.genesis.version, 
                 timestamp: 0, 
                 minerName: 'genesis', 
                 merkleRoot: merkleTree.pop()[0],
@@ -118,19 +230,47 @@ export default class Blockchain {
             blockData = {
                 index: this.height(),
                 prevHash: this.getBlock(this.height()-1).hash, // get the hash from previous block
-                version: this.version, // version of block
-                timestamp: time(),
-                minerName: this.nodeName,
+                version: this.Deployments.blockVersion( this.version, this.height(), this.chain ), // version of block, with the deployments we signal for
+                timestamp: Math.max( networkTime(), this.medianTimePast(this.height()) + 1 ),
+                minerName,
                 merkleRoot: merkleTree.pop()[0],
                 transactions,
                 hash: ''
             }
         }
+        // the header commits to the wallets as its transactions leave them (a dry run, as the audit in addBlock does;
+        // whether minerName may produce it is checked once sealed)
+        if( blockData.index > 0 ){
+            const { miningReward } = this.calcMiningReward({ index: blockData.index, update: false })
+            const rules = { ...this.auditRules(blockData.index, this.chain), producer: false }
+            const auditResult = this.TransactionHandler.auditTransactions(minerName, blockData.index, transactions, miningReward, rules)
+            blockData.stateRoot = auditResult.stateRoot
+            // kept for when the block comes back sealed, so addBlock needn't redo it (see preparedAudit)
+            this.prepared = { index: blockData.index, prevHash: blockData.prevHash, minerName, merkleRoot: blockData.merkleRoot, auditResult }
+        }
+        // every snapshot.interval blocks (chain-spec) the header commits to the ledger state before it
+        if( this.isSnapshotIndex(blockData.index) )
+            blockData.stateHash = this.ledgerState().stateHash
+        // engine-specific header fields (ex. target bits)
+        this.Consensus.prepareHeader( blockData, this.chain )
         return blockData
     }
 
+    // the dry run prepareBlockData did for this block, if it's the one it prepared and still goes on our tip
+    // (the wallets are as they were then); only who may produce it is left to check
+    preparedAudit( block ){
+        const prepared = this.prepared
+        this.prepared = false
+        if( !prepared || block.index < 1 || prepared.index !== block.index || prepared.prevHash !== this.getBlock(block.index - 1)?.hash
+            || prepared.prevHash !== block.prevHash || prepared.minerName !== block.minerName || prepared.merkleRoot !== block.merkleRoot )
+            return false
+
+        this.TransactionHandler.checkProducer( block.minerName, block.index, this.auditRules(block.index, this.chain).producer )
+        return prepared.auditResult
+    }
+
     addBlock(blockData, options = {}){ 
-        const { readOnly = false, forceOverwrite = false, txUpdate = false } = options
+        const { readOnly = false, forceOverwrite = false, txUpdate = false, skipPow = false, updateFinality = true } = options
         // fill in as used by Block instance
         options.nodeName = this.nodeName
         options.dataPath = this.dataPath
@@ -149,38 +289,96 @@ export default class Blockchain {
             throw errorWithData( `[addBlock] Read-Only mode BUT *NO* pre-existing could be loaded for index(${index}), aborting.` )
             // return { error: `[addBlock] Read-Only mode BUT *NO* pre-existing could be loaded for index(${index}), aborting.` }
 
-        // quickly check transactions ok (enough user balances, etc)
-        const auditResult = 
-            this.TransactionHandler.auditTransactions(newBlock.minerName, newBlock.index, newBlock.transactions, this.miningReward)
+        // the hash only covers the header, so the transactions must be the ones its merkleRoot commits to
+        if( !newBlock.isMerkleValid() )
+            throw errorWithData( `[addBlock] Block #${index} transactions don't match its merkleRoot (${newBlock.merkleRoot}). Rejecting.`, { index } )
+
+        // quickly check transactions ok (enough user balances, etc), and produced by whom the engine expects
+        // (the block we prepared and sealed ourselves was already dry-run; our own stored blocks, replayed on start,
+        // are checked against the tip's stateRoot once all loaded, see checkStateRoot)
+        const auditResult = this.preparedAudit( newBlock ) ||
+            this.TransactionHandler.auditTransactions(newBlock.minerName, newBlock.index, newBlock.transactions, this.miningReward, this.auditRules(index, this.chain), { calcStateRoot: !readOnly })
+
+        // and leave the wallets as its header said they would be
+        if( index > 0 && !readOnly && newBlock.stateRoot !== auditResult.stateRoot )
+            throw errorWithData( `[addBlock] Block #${index} stateRoot (${newBlock.stateRoot || 'none'}) doesn't match the wallets after its transactions (${auditResult.stateRoot}). Rejecting.`, { index } )
 
         // INSERTING BLOCK INTO CHAIN ...
         // First: make sure this block fits onto the existing chain ok
         this.verifyBlockValidToConnect( newBlock )
 
-        // It's good - write the file (if didn't exist and load from cache)
-        if( !newBlock.fileCache || forceOverwrite ) // no cache file, so it's a new block, write it
-            newBlock.writeData(forceOverwrite)
+        // must match any checkpoint at this height
+        this.checkCheckpoint( index, newBlock.hash )
+
+        // the block header must be valid by the consensus rules (ex. proof-of-work meets the expected target)
+        // (when syncing, blocks below the last checkpoint are vouched for by it, so we skip this)
+        const checkPow = !skipPow || index > this.lastCheckpointIndex()
+        if( checkPow )
+            this.Consensus.validateHeader( newBlock, this.chain )
+
+        // a snapshot block must commit to the ledger as it is now (before its transactions), any other block to nothing
+        const snapshot = this.isSnapshotIndex(index) ? this.ledgerState() : false
+        if( (newBlock.stateHash || '') !== (snapshot.stateHash || '') )
+            throw errorWithData( `[addBlock] Block #${index} state hash (${newBlock.stateHash || 'none'}) doesn't match our ledger (${snapshot.stateHash || 'none'}). Rejecting.`, { index } )
+
+        // record the chain work up to this block (never trust a value passed in)
+        newBlock.chainWork = (BigInt(this.getBlock(index - 1)?.chainWork || 0) + this.Consensus.blockWork(newBlock)).toString()
+        this.Consensus.observeBlock( newBlock )
+
+        // write-ahead: the block with the wallets as they were, so a crash part way through can be recovered (see
+        // recoverJournal); (a reload replays blocks already stored, nothing to recover)
+        const journal = !readOnly && this.beginJournal( newBlock )
+        // the wallet file is written once all its transactions are in
+        this.Wallet.holdWrites()
+        let syncResult
+        try {
+            // It's good - write the file (if didn't exist and load from cache)
+            if( !newBlock.fileCache || forceOverwrite ) // no cache file, so it's a new block, write it
+                newBlock.writeData(forceOverwrite)
 
-        const syncResult = this.TransactionHandler.processTransactions( newBlock.transactions, { blockIdx: index, txUpdate: true } )
+            syncResult = this.TransactionHandler.processTransactions( newBlock.transactions, { blockIdx: index, txUpdate: true } )
+        } catch( e ){
+            this.Wallet.releaseWrites()
+            if( journal ) this.rollbackJournal()
+            throw e
+        }
+        this.Wallet.releaseWrites()
+        if( journal ) this.endJournal()
         debug( 2, `<cyan>- block #${newBlock.index} transactions processed</>: imported${auditResult.transactionCnt>0 ? ` +${auditResult.transactionCnt} user-transactions` : '' } ${auditResult.adminCnt>0 ? ` +${auditResult.adminCnt} admin-transactions` : '' }${auditResult.miningFees>0 ? `; $${auditResult.miningFees} mining fees` : ''} ${ forceOverwrite || !newBlock.fileCache ? ` [wrote file]` : ''} </>`)
 
         // finally, add it to the blockchain! (remove fileCache guidance)
         // note we are using the INCOMING blockData, not any alteration by processTransactions()
         delete newBlock.fileCache
         this.chain.push(newBlock)
+        this.ChainIndex.add( newBlock )
 
         // update height for ledger to know
         this.Wallet.setMaxBlock( newBlock.index )
 
+        // keep the ledger state it committed to, for nodes that bootstrap from it
+        if( snapshot && !readOnly ) this.writeSnapshot( snapshot )
+
         // update mining rewards info
         this.calcMiningReward({ index: this.chain.length })
 
+        // (addChain only updates it once all its blocks are in, as a failed chain gets rolled back)
+        if( updateFinality ){
+            this.Finality.update( this.chain )
+            if( !readOnly ) this.prune()
+        }
+
         return { block: newBlock, hashes: syncResult.hashes, newHashes: syncResult.newHashes, 
                  transactionCnt: auditResult.transactionCnt, adminCnt: auditResult.adminCnt, miningFees: auditResult.miningFees }
     }
 
     
     // chck hash-match, and block timestamp acceptable 
+    // median timestamp of the medianTimeSpan blocks before index
+    medianTimePast( index, chain = this.chain ){
+        const timestamps = chain.slice( Math.max(0, index - this.chainSpec.block.medianTimeSpan), index ).map( b => b.timestamp ).sort( (a, b) => a - b )
+        return timestamps.length > 0 ? timestamps[Math.floor(timestamps.length / 2)] : 0
+    }
+
     verifyBlockValidToConnect( block ){
         const index = block.index
 
@@ -193,18 +391,15 @@ export default class Blockchain {
                 // return { error: `Previous block hash does not match, so it's NOT next in chain, rejecting.`, index }
             }
 
-            // Check block timestamp is basically valid (within a window, ex 2 hours ) 
-            // average last 3 blocks for the timestamp
-            const prevTimestamp = this.height()<10 ? this.getBlock(index - 1).timestamp 
-                : Math.floor((this.getBlock(index - 1).timestamp + 
-                              this.getBlock(index - 2).timestamp + 
-                              this.getBlock(index - 3).timestamp)/3)
-            if (block.timestamp <= (prevTimestamp - BLOCK_TIMESTAMP_TOLERANCE)) {
-                debug( 1, `<red>ERROR:</> Block #${index} timestamp (${block.timestamp}) is before or equal to previous 3-block average (${prevTimestamp} + ${BLOCK_TIMESTAMP_TOLERANCE})` )
-                throw errorWithData( 'Invalid block timestamp: Must be after previous block', { block })
+            // Check block timestamp is basically valid: after the median of the prior blocks (so one
+            // miner's skewed clock can't drag it back), and not too far ahead of the network's time
+            const medianTimePast = this.medianTimePast( index )
+            if (block.timestamp <= medianTimePast) {
+                debug( 1, `<red>ERROR:</> Block #${index} timestamp (${block.timestamp}) is before or equal to the median-time-past (${medianTimePast}) of the previous ${this.chainSpec.block.medianTimeSpan} blocks` )
+                throw errorWithData( 'Invalid block timestamp: Must be after median of previous blocks', { block, medianTimePast })
                 // return { error: 'Invalid block timestamp: Must be after previous block' }
             }
-            if (block.timestamp > (time() + BLOCK_TIMESTAMP_TOLERANCE)) {
+            if (block.timestamp > (networkTime() + this.chainSpec.block.timestampTolerance)) {
                 debug( 1, `<red>ERROR:</> Block #${index} timestamp (${block.timestamp}) is too far in the future`)
                 throw errorWithData( 'Invalid block timestamp: Too far in the future', { block }) 
                 // return { error: 'Invalid block timestamp: Too far in the future' }
@@ -226,22 +421,80 @@ export default class Blockchain {
             this.verifyBlockValidToConnect( block )
             
             // BLOCK: quickly check the block itself is ok!
-            // determine the reward, for place of current block (don't update block settings though)
-            const calc = this.calcMiningReward({ index: block.index, update: false })
+            // determine the reward from the blocks before it (don't update block settings though)
+            const calc = this.calcMiningReward({ index: block.index, update: false, chain })
 
-            // check block hash + PoW valid
-            if( !block.isHashValid( calc.difficulty,block.hash ) || block.hash !== block.calcHash() ){
-                debug( 1,`<red>ERROR</> Block#${block.index}: Invalid hash (${block.hash}), first ${calc.difficulty}-bytes must be 0 - hash (${block.hash}), rejecting!`)
-                throw errorWithData( `Invalid hash, first ${calc.difficulty}-bytes must be 0, rejecting!`, {index} )
-            }        
+            // check block hash + header valid by the consensus rules (genesis is not sealed)
+            if( block.hash !== block.calcHash() || (!block.pruned && !block.isMerkleValid()) ){
+                debug( 1,`<red>ERROR</> Block#${block.index}: Invalid hash (${block.hash}) or merkleRoot, rejecting!`)
+                throw errorWithData( `Invalid hash, rejecting!`, { index: block.index } )
+            }
+            this.Consensus.validateHeader( block, chain.slice(0, i) )
+            // pruned: only the header left to check
+            if( block.pruned ) continue
 
             // BLOCK TRANSACTIONS: check actual transactions are vali
-            const { transactionCnt, adminCnt, miningFees }= this.TransactionHandler.auditTransactions(block.transactions,calc.miningReward)
+            const { transactionCnt, adminCnt, miningFees }= this.TransactionHandler.auditTransactions(block.minerName, block.index, block.transactions, calc.miningReward, this.auditRules(i, chain.slice(0, i)))
 
             debug( 3, ` - block #${block.index} ${transactionCnt} transactions; miningFees: ${fixRounding(miningFees)}`)
         }
     }
        
+    // block locator (as BTC): hashes from our tip back to genesis, the last 10 one by one then doubling the step,
+    // so a peer can find where our chains fork at any depth with only a few dozen hashes
+    getLocator(){
+        let locator = [], step = 1
+        for( let index = this.height() - 1; index > 0; index -= step ){
+            locator.push( this.chain[index].hash )
+            if( locator.length >= 10 ) step *= 2
+        }
+        locator.push( this.chain[0].hash )
+        return locator
+    }
+
+    // headers after the latest locator hash that's on our chain (the fork point); forkIndex -1 if none is (other network)
+    getHeaders( locator, count = HEADERS_MAX ){
+        let forkIndex = -1
+        for( const hash of locator ){
+            const index = this.chain.findLastIndex( block => block.hash === hash )
+            if( index > -1 ){
+                forkIndex = index
+                break
+            }
+        }
+        if( forkIndex < 0 ) return { forkIndex, headers: [] }
+        const headers = this.chain.slice( forkIndex + 1, forkIndex + 1 + Math.min(count, HEADERS_MAX) ).map( block => block.getHeader() )
+        return { forkIndex, headers }
+    }
+
+    // check a peer's header chain (forking off ours after forkIndex) before downloading any block bodies:
+    // it must link up, hash correctly, meet the consensus rules (ex. proof-of-work targets) and checkpoints;
+    // returns the chainWork it would give
+    validateHeaders( forkIndex, headers ){
+        if( forkIndex < 0 || forkIndex >= this.height() )
+            throw errorWithData( `Headers fork at #${forkIndex}, not a block on our chain. Rejecting.`, { forkIndex } )
+        if( forkIndex + 1 < this.height() && this.Finality.isFinal(forkIndex + 1) )
+            throw errorWithData( `Headers fork at #${forkIndex}, replacing finalized blocks (final up to #${this.Finality.finalizedIndex}). Rejecting.`, { forkIndex } )
+
+        // the header blocks, checked against their own history (ours to the fork, then theirs)
+        const ancestry = this.chain.slice(0, forkIndex + 1)
+        let chainWork = BigInt(ancestry.at(-1).chainWork || 0)
+        for( const header of headers ){
+            const block = new Block({ ...header, transactions: [] }, { forceOverwrite: true, nodeName: this.nodeName, dataPath: this.dataPath })
+            const prevBlock = ancestry.at(-1)
+            if( block.index !== prevBlock.index + 1 || block.prevHash !== prevBlock.hash || block.hash !== header.hash )
+                throw errorWithData( `Header #${header.index} (${header.hash}) does not link up/hash correctly. Rejecting.`, { index: header.index } )
+            this.checkCheckpoint( block.index, block.hash )
+            if( block.index > this.lastCheckpointIndex() )
+                this.Consensus.validateHeader( block, ancestry, { headersOnly: true } )
+
+            chainWork += this.Consensus.blockWork(block)
+            block.chainWork = chainWork.toString()
+            ancestry.push( block )
+        }
+        return chainWork.toString()
+    }
+
     getChain(fromIndex=0,size=0,fields='') {
         const chain = this.chain.slice(fromIndex, size>0 ? fromIndex+size : this.chain.length )
         let result = []
@@ -251,8 +504,11 @@ export default class Blockchain {
             result = [ ...chain.map( ({index, minerName, timestamp, powTime}) =>
                         { return {index, minerName, timestamp, powTime}} )]
         else
-            // peel off meta-data in block before passing on all block-only data
-            result = [ ...chain.map( ({powTime, ...data}) => data )]
+            // peel off meta-data in block before passing on all block-only data (pruned blocks: just the header)
+            result = [ ...chain.map( ({powTime, ...data}) => {
+                if( data.pruned ) delete data.transactions
+                return data
+            })]
         return result
     }
 
@@ -263,46 +519,26 @@ export default class Blockchain {
         let addBlockCnt = 0, blockHashes = [], newHashes = [], transactionCnt = 0, adminCnt = 0, miningFees = 0
         const fromIndex = chain[0].index
 
-        // if OTHER chain is longer, we extract our minted transactions > pending; then CUT CHAIN SHORT + add external blocks
-        let resetWallet = false
-        if( forceOverwrite && this.height() > fromIndex ){
-            const chainExcessBlocks = this.height() - fromIndex
-
-            // BUGBUG maybe possible to optimize, currently reprocesses the whole chain?
-            // go through rebuilding the transactions to that point
-            debug( 3, `<cyan>~ clearing and re-calcing wallet balances (optimize?)</>`)
-            this.Wallet.resetAllTokens()
-            resetWallet = true
-            this.Mempool.reset()
-                        
-            // quickly EXTRACT transactions this miner was attempting to push to blockchain
-            const dropChain = this.chain.slice(fromIndex, this.height())
-            let blockIdx = fromIndex
-            for( const block of dropChain ){
-                // allow dropping sliced blocks from other miners (they'll deal with it themselves, we only care about our miner blocks)
-                if( block.minerName !== this.nodeName ) continue
-
-                // extracts this miner's mined user/admin transactions back to mempool
-                const transactions = this.TransactionHandler.filter({ transactions: block.transactions, type: 'user,admin' })
-                for( const transaction of transactions )
-                    this.Mempool.Queue.add( transaction )
-                // indicate queue time
-                this.TransactionHandler.updateMeta( transactions,'queueTime',time() )
+        // refuse chains that don't pass through our checkpoints, or that would reorg below one
+        for( const blockData of chain )
+            this.checkCheckpoint( blockData.index, blockData.hash )
+        if( forceOverwrite && this.height() > fromIndex && this.isBelowCheckpoint(fromIndex) )
+            throw errorWithData( `[addChain] Chain forks at #${fromIndex}, below our last checkpoint (#${this.lastCheckpointIndex()}), rejecting.`, { fromIndex } )
+        // nor replace blocks that are final
+        if( forceOverwrite && this.height() > fromIndex && this.Finality.isFinal(fromIndex) )
+            throw errorWithData( `[addChain] Chain forks at #${fromIndex}, replacing finalized blocks (final up to #${this.Finality.finalizedIndex}), rejecting.`, { fromIndex, finalizedIndex: this.Finality.finalizedIndex } )
+        // nor ones we pruned (their transactions can't be reversed)
+        if( forceOverwrite && this.height() > fromIndex && fromIndex < this.prunedTo )
+            throw errorWithData( `[addChain] Chain forks at #${fromIndex}, replacing blocks pruned on this node (up to #${this.prunedTo - 1}), rejecting.`, { fromIndex, prunedTo: this.prunedTo } )
 
-            }
-
-            debug( 3, `<cyan>~ re-added dropped-chain transactions from this server to pending; shortening blockchain by ${chainExcessBlocks}`)
-            this.chain = this.chain.slice(0, -chainExcessBlocks)
-
-            debug( 3, '<dim>' )
-            for( const block of this.chain )
-                this.TransactionHandler.procsessTransactions( block.transactions, { blockIdx: block.index, txUpdate: true })
-            debug( 3, '<reset>' )
-        }
+        // if OTHER chain is heavier, we undo our blocks past the fork (tip first), then add the external blocks on top
+        let reorg = false
+        if( forceOverwrite && this.height() > fromIndex )
+            reorg = this.disconnectBlocks( fromIndex )
 
         let blocks = []
         for( const blockData of chain ){
-            const addResult = this.addBlock(blockData, { ...blockOptions, txUpdate: true })
+            const addResult = this.addBlock(blockData, { ...blockOptions, txUpdate: true, updateFinality: false })
 
             blockHashes = blockHashes.concat(addResult.hashes)
             newHashes = newHashes.concat(addResult.newHashes)
@@ -314,13 +550,488 @@ export default class Blockchain {
         }
 
         debug( 2, `- added ${addBlockCnt} blocks, <i>new re-tabulating ledger</i>.`)
+        this.Finality.update( this.chain )
+        // a reorg may have replaced blocks the ledger snapshot was taken with
+        if( reorg && this.prunedTo > 0 ) this.writeLedger()
+        this.prune()
+
+        if( reorg ){
+            // dropped user/admin transactions that didn't make it into the new blocks go back to mempool
+            const { returnedToMempool, discarded }= this.requeueTransactions( reorg.transactions )
+            reorg = { depth: reorg.depth, forkIndex: reorg.forkIndex, droppedHashes: reorg.droppedHashes, addedHashes: blocks.map( b => b.hash ),
+                      returnedToMempool, discarded }
+            debug( 2, `<yellow>~ reorg @ #${reorg.forkIndex}: dropped ${reorg.depth} blocks (${reorg.droppedHashes.join(',')}), added ${reorg.addedHashes.length}; `
+                        +`${returnedToMempool.length} transactions returned to mempool, ${discarded.length} discarded</>`)
+        }
         
-        if( DEBUG > 3 ){
+        if( DEBUG_MODE > 3 ){
             debug( `\n\n== LEDGER =========================================================`)
             this.Wallet.balances()
         }
 
-        return { error: false, hashes: blockHashes, newHashes, addBlockCnt, transactionCnt, adminCnt, miningFees, resetWallet, blocks }
+        return { error: false, hashes: blockHashes, newHashes, addBlockCnt, transactionCnt, adminCnt, miningFees, reorg, blocks }
+    }
+
+    // undo our blocks from the tip down to fromIndex: only the dropped blocks' transactions are reversed
+    disconnectBlocks( fromIndex ){
+        const dropBlocks = this.chain.slice(fromIndex).reverse()
+        let droppedHashes = [], transactions = []
+
+        for( const block of dropBlocks ){
+            debug( 3, `<cyan>~ disconnecting block #${block.index} (${block.hash}), reversing ${block.transactions.length} transactions</>`)
+            this.TransactionHandler.reverseBatch( block.transactions )
+            this.chain.pop()
+            this.ChainIndex.remove( block.index, block.hash )
+
+            droppedHashes.unshift( block.hash )
+            // user/admin transactions can be mined again, the system ones (reward/fees) belonged to that block only
+            transactions = this.TransactionHandler.filter({ transactions: block.transactions, types: 'user,admin' }).concat( transactions )
+        }
+        this.Wallet.setMaxBlock( this.height() - 1 )
+        this.calcMiningReward({ index: this.height() })
+
+        return { depth: dropBlocks.length, forkIndex: fromIndex - 1, droppedHashes, transactions }
+    }
+
+    // put transactions back in mempool (oldest first), unless already on the chain again; fails (ex. spent on the new chain) get discarded
+    requeueTransactions( transactions ){
+        let returnedToMempool = [], discarded = []
+
+        for( const transaction of transactions ){
+            if( this.Mempool.Hashes.exists(transaction.hash) ) continue
+            try {
+                this.TransactionHandler.processTransaction( transaction )
+                returnedToMempool.push( transaction.hash )
+            } catch( e ) {
+                debug( 2, `<dim>~ dropped transaction (${transaction.hash}) not returned to mempool: ${e.message}</>`)
+                discarded.push( transaction.hash )
+            }
+        }
+        return { returnedToMempool, discarded }
+    }
+
+    // side-branch blocks are stored under 'branches/' keys (see Block.storeKey)
+    // where a pruned node keeps the headers of the blocks it dropped, and its ledger snapshot
+    prunedFile( name ){
+        return path.join(this.dataPath, this.nodeName, `${name}.json`)
+    }
+
+    // write-ahead journal of the block being added (one at a time)
+    journalFile(){
+        return path.join(this.dataPath, this.nodeName, 'journal.json')
+    }
+
+    // before a block is stored and its transactions change the wallets: the block, the one stored where it goes (if
+    // any) and the wallets as they were (the file is written atomically, so it's there whole or not at all)
+    beginJournal( block ){
+        let replaced = false
+        try {
+            replaced = Block.openStore(this.dataPath, this.nodeName).get( block.storeKey() )
+        } catch( e ){} // unreadable (ex. cut off by a crash), nothing worth putting back
+        writeFileAtomic( this.journalFile(), JSON.stringify({ index: block.index, hash: block.hash, block: block.getData(), replaced, wallets: this.Wallet.addresses }) )
+        return true
+    }
+
+    // the block and its wallet changes are on disk
+    endJournal(){
+        fs.rmSync( this.journalFile(), { force: true } )
+    }
+
+    // undo a journaled block: the store back as it was (the block that was there, or none), and the wallets
+    rollbackJournal( journal = JSON.parse( fs.readFileSync(this.journalFile(), 'utf8') ), wallets = journal.wallets ){
+        const store = Block.openStore(this.dataPath, this.nodeName)
+        const key = Block.storeKey( journal.index )
+        if( journal.replaced )
+            store.put( key, journal.replaced )
+        else if( this.getBlock(journal.index)?.hash !== journal.hash )
+            store.delete( key )
+
+        this.Wallet.addresses = wallets
+        this.Wallet.write()
+        this.endJournal()
+        debug( 1, `<yellow>~ journal: rolled back block #${journal.index} (${journal.hash})</>` )
+    }
+
+    // on start, once the stored chain is loaded: a journal left means we stopped part way through adding its block (the
+    // block, or the wallet changes, may not all be on disk). If it loaded whole, it's done; otherwise it's rolled back
+    // (the wallets are as the chain loaded them, from before it) and, if it's next on our chain, rolled forward again
+    // (added anew, fully checked).
+    recoverJournal(){
+        if( !fs.existsSync(this.journalFile()) ) return
+
+        const journal = JSON.parse( fs.readFileSync(this.journalFile(), 'utf8') )
+        if( this.getBlock(journal.index)?.hash === journal.hash ){
+            this.endJournal()
+            debug( 2, `<yellow>~ journal: block #${journal.index} (${journal.hash}) was stored whole, nothing to recover</>` )
+            return
+        }
+        this.rollbackJournal( journal, this.Wallet.addresses )
+        if( journal.index !== this.height() ) return
+
+        try {
+            this.addBlock( journal.block, { forceOverwrite: true, txUpdate: true } )
+            debug( 1, `<yellow>~ journal: rolled forward block #${journal.index} (${journal.hash})</>` )
+        } catch( e ){
+            debug( 1, `<red>ERROR:</> journal: block #${journal.index} can't be added again (${e.message}), leaving it out` )
+        }
+    }
+
+    // pruned node: drop the block files (and transactions in memory) of blocks more than pruneDepth deep, keeping their
+    // headers (the chain still links up, and can be served headers-first) and a snapshot of the ledger they built,
+    // since it can't be replayed from them any more
+    prune(){
+        const pruneTo = this.height() - this.pruneDepth
+        if( !this.pruneDepth || pruneTo - this.prunedTo < PRUNE_BATCH ) return 0
+
+        // headers + ledger first: once the files are gone, these are all that's left of those blocks
+        writeFileAtomic( this.prunedFile('headers'), JSON.stringify( this.chain.slice(0, pruneTo).map( block => block.getHeader() ) ) )
+        const ledger = this.writeLedger( pruneTo )
+        // engine tallies start from its state as of the last pruned block from now on, the bodies before are gone
+        this.Consensus.loadState( ledger.consensus )
+        for( const block of this.chain.slice(this.prunedTo, pruneTo) ){
+            block.deleteData()
+            block.transactions = []
+            block.pruned = true
+        }
+        debug( 2, `<cyan>~ pruned blocks #${this.prunedTo}-#${pruneTo - 1} (keeping the last ${this.pruneDepth} blocks whole)</>` )
+
+        const pruneCnt = pruneTo - this.prunedTo
+        this.prunedTo = pruneTo
+        return pruneCnt
+    }
+
+    // the ledger as of our tip: wallet balances, hashes of transactions in blocks; and the engine state (ex. stakes) as of
+    // the last pruned block (final, so never reorganized: engine tallies restart from it, the bodies after it are kept)
+    writeLedger( prunedTo = this.prunedTo ){
+        const ledger = { index: this.height() - 1, hash: this.getBlock().hash, prunedTo,
+                         wallets: this.Wallet.ledgerSnapshot(), hashes: this.Mempool.Hashes.onBlock(), consensus: this.Consensus.saveState(this.chain.slice(0, prunedTo)) }
+        writeFileAtomic( this.prunedFile('ledger'), JSON.stringify(ledger) )
+        return ledger
+    }
+
+    // blocks stored by an older version, hashed differently (before 1.2 the hash was over the transactions too, not
+    // just the header), would fail their hash check and be taken for no chain at all: genesis re-created over them
+    checkDataFormat(){
+        const { version } = this.chainSpec.genesis
+        const genesis = fs.existsSync(this.prunedFile('headers')) ? JSON.parse( fs.readFileSync(this.prunedFile('headers'), 'utf8') )[0]
+                                                                  : Block.openStore( this.dataPath, this.nodeName ).get( Block.storeKey(0) )
+        if( genesis && genesis.version !== version )
+            throw errorWithData( `Node data (${path.join(this.dataPath, this.nodeName)}) is from an older version (genesis version ${genesis.version}, this one is ${version}) `
+                                +`and can't be loaded; remove the node data folder to re-sync the chain from peers.`, { version: genesis.version } )
+    }
+
+    // reload a pruned chain: the headers of the pruned blocks, then the kept blocks up to the ledger snapshot (already
+    // tallied in it, so not replayed); returns the index of the next block to load (0: not pruned)
+    loadPruned(){
+        if( !fs.existsSync(this.prunedFile('ledger')) ) return 0
+
+        const ledger = JSON.parse( fs.readFileSync(this.prunedFile('ledger'), 'utf8') )
+        const headers = fs.existsSync(this.prunedFile('headers')) ? JSON.parse( fs.readFileSync(this.prunedFile('headers'), 'utf8') ) : []
+        const options = { nodeName: this.nodeName, dataPath: this.dataPath }
+        for( let index = 0; index <= ledger.index; index++ ){
+            const pruned = index < ledger.prunedTo
+            const block = pruned ? new Block({ ...headers[index], transactions: [] }, { ...options, forceOverwrite: true })
+                                 : new Block({ index }, { ...options, readOnly: true })
+            const prevBlock = this.getBlock(index - 1)
+            if( block.index !== index || (pruned && block.hash !== headers[index].hash) || (index > 0 && block.prevHash !== prevBlock.hash) )
+                throw errorWithData( `[loadPruned] Block #${index} header doesn't link up with the chain, the pruned data (${this.prunedFile('headers')}) is damaged; remove the node data to re-sync.`, { index } )
+            if( pruned ){
+                block.pruned = true
+                block.deleteData() // in case we stopped before it was pruned
+            }
+            delete block.fileCache
+            block.chainWork = (BigInt(prevBlock?.chainWork || 0) + this.Consensus.blockWork(block)).toString()
+            this.chain.push( block )
+            this.ChainIndex.add( block )
+        }
+        if( this.getBlock().hash !== ledger.hash )
+            throw errorWithData( `[loadPruned] Ledger snapshot is for block #${ledger.index} (${ledger.hash}), not the one we have, remove the node data to re-sync.`, { index: ledger.index } )
+
+        this.Wallet.ledgerRestore( ledger.wallets )
+        this.Mempool.Hashes.restore( ledger.hashes )
+        this.Consensus.loadState( ledger.consensus )
+        this.Wallet.setMaxBlock( ledger.index )
+        this.prunedTo = ledger.prunedTo
+        this.calcMiningReward({ index: this.chain.length })
+        this.Finality.update( this.chain )
+        debug( 3, `<cyan>~ pruned chain: headers to #${ledger.prunedTo - 1}, blocks to #${ledger.index} (ledger snapshot), loading the rest</>` )
+        return ledger.index + 1
+    }
+
+    isSnapshotIndex( index ){
+        const { interval } = this.chainSpec.snapshot
+        return interval > 0 && index > 0 && index % interval === 0
+    }
+
+    // the ledger as of our tip, as the next snapshot block's header commits to it: every wallet's balances, seq and
+    // token admin (see Wallet.ledgerState) and the engine state (ex. stakes), with the hash of it all
+    ledgerState(){
+        const state = { index: this.height() - 1, hash: this.getBlock().hash, wallets: this.Wallet.ledgerState(), consensus: this.Consensus.saveState(this.chain) }
+        return { ...state, stateHash: this.stateHash(state) }
+    }
+
+    // names aren't hashed: a wallet's name is whatever this node first saw used with its publicKey
+    stateHash({ index, hash, wallets, consensus }){
+        return Crypto.hashRaw( { index, hash, wallets: wallets.map( ({ name, ...wallet }) => wallet ), consensus }, 'hex' )
+    }
+
+    snapshotFile( index ){
+        return path.join(this.dataPath, this.nodeName, 'snapshots', `${index}.json`)
+    }
+
+    // save a ledger state, signed by us (so a node loading it knows who vouched for it), keeping the latest few
+    writeSnapshot( snapshot ){
+        const directory = path.dirname( this.snapshotFile(0) )
+        if( !fs.existsSync(directory) ) fs.mkdirSync(directory, { recursive: true })
+
+        const signer = `${this.nodeName}:${this.Wallet.getUserPublicKey(this.nodeName)}`
+        const signature = this.Wallet.sign(this.nodeName, snapshot.stateHash).split(':')[1]
+        writeFileAtomic( this.snapshotFile(snapshot.index), JSON.stringify({ ...snapshot, signer, signature }) )
+        debug( 3, `<cyan>~ ledger snapshot at #${snapshot.index} (${snapshot.wallets.length} wallets), state hash ${snapshot.stateHash}</>` )
+
+        const indexes = fs.readdirSync(directory).map( fileName => parseInt(fileName) ).filter( index => index >= 0 ).sort( (a, b) => b - a )
+        for( const index of indexes.slice(SNAPSHOT_KEEP) )
+            fs.unlinkSync( this.snapshotFile(index) )
+    }
+
+    // our latest snapshot whose snapshot block is on our chain (false if none)
+    getSnapshot(){
+        const directory = path.dirname( this.snapshotFile(0) )
+        if( !fs.existsSync(directory) ) return false
+
+        const indexes = fs.readdirSync(directory).map( fileName => parseInt(fileName) ).filter( index => index >= 0 ).sort( (a, b) => b - a )
+        for( const index of indexes ){
+            const snapshot = JSON.parse( fs.readFileSync(this.snapshotFile(index), 'utf8') )
+            if( this.getBlock(snapshot.index + 1)?.stateHash === snapshot.stateHash ) return snapshot
+        }
+        return false
+    }
+
+    // a new node (only genesis) starting from a peer's snapshot instead of replaying every block: it must hash to what
+    // the header after it committed to, in a header chain that checks out (see validateHeaders) with that block final;
+    // we then carry on as a node pruned up to it (headers only before it, see loadPruned)
+    loadSnapshot( headers, snapshot ){
+        if( this.height() !== 1 )
+            throw errorWithData( `[loadSnapshot] Only a new node (just genesis) can start from a snapshot, we're at #${this.height() - 1}.` )
+        this.validateHeaders( 0, headers )
+
+        const commit = headers.find( header => header.index === snapshot.index + 1 )
+        if( !commit || commit.prevHash !== snapshot.hash || commit.stateHash !== this.stateHash(snapshot) )
+            throw errorWithData( `[loadSnapshot] Snapshot #${snapshot.index} doesn't match the state hash in the block after it. Rejecting.`, { index: snapshot.index } )
+        if( headers.at(-1).index - commit.index + 1 < this.Finality.depth )
+            throw errorWithData( `[loadSnapshot] Snapshot block #${commit.index} is not final yet (${this.Finality.depth} deep). Rejecting.`, { index: commit.index } )
+        const signerKey = snapshot.signer?.split(':')[1] || ''
+        let signed = false
+        try {
+            // last character of publicKey is the checksum
+            signed = Crypto.decode(signerKey.slice(0,-1), snapshot.signature) === snapshot.stateHash
+        } catch( e ){}
+        if( !signed )
+            throw errorWithData( `[loadSnapshot] Snapshot #${snapshot.index} is not signed by who it says (${snapshot.signer}). Rejecting.`, { signer: snapshot.signer } )
+
+        // lay it down as a pruned node's headers + ledger files, and load those
+        const chainHeaders = [ this.getBlock(0).getHeader(), ...headers.filter( header => header.index <= snapshot.index ) ]
+        writeFileAtomic( this.prunedFile('headers'), JSON.stringify(chainHeaders) )
+        this.Wallet.ledgerStateRestore( snapshot.wallets )
+        const ledger = { index: snapshot.index, hash: snapshot.hash, prunedTo: snapshot.index + 1,
+                         wallets: this.Wallet.ledgerSnapshot(), hashes: {}, consensus: snapshot.consensus }
+        writeFileAtomic( this.prunedFile('ledger'), JSON.stringify(ledger) )
+
+        this.chain = []
+        this.Mempool.Hashes.reset()
+        this.loadPruned()
+        this.writeSnapshot( snapshot )
+        debug( 2, `<cyan>~ started from ${snapshot.signer.split(':')[0]}'s ledger snapshot at #${snapshot.index}, ${snapshot.wallets.length} wallets</>` )
+        return snapshot.index
+    }
+
+    loadBranches(){
+        const store = Block.openStore(this.dataPath, this.nodeName)
+        for( const key of store.keys('branches') ){
+            try {
+                const blockData = store.get(key)
+                const block = new Block(blockData, { forceOverwrite: true, branch: true, nodeName: this.nodeName, dataPath: this.dataPath })
+                if( block.hash !== blockData.hash )
+                    throw errorWithData( `Side-branch block #${blockData.index} hash mismatch, tampered block? Dropping!` )
+                this.branches[block.hash] = block
+            } catch( e ){
+                debug( 1, `<red>ERROR:</> Unable to load side-branch block (${key}): ${e.message}, removing it.`)
+                store.delete(key)
+            }
+        }
+        this.pruneBranches()
+        debug( 3, `<cyan>~ Loaded ${Object.keys(this.branches).length} side-branch blocks</>`)
+    }
+
+    // store a block that does NOT extend our chain tip, but builds off a block we know (on our chain or a side-branch)
+    addBranchBlock( blockData, options = {} ){
+        const { skipPow = false } = options
+        const { index, prevHash } = blockData
+        if( !index || index < 1 ) return false
+
+        const block = new Block(blockData, { forceOverwrite: true, branch: true, nodeName: this.nodeName, dataPath: this.dataPath })
+
+        // already known to us
+        if( this.branches[block.hash] || this.getBlock(index)?.hash === block.hash ) return false
+
+        // we only keep blocks whose parent we know, and not so far back we'd never switch to it
+        const parentKnown = this.getBlock(index - 1)?.hash === prevHash || this.branches[prevHash]?.index === index - 1
+        if( index <= this.height() - BRANCH_MAX_DEPTH || this.isBelowCheckpoint(index) || this.Finality.isFinal(index) ){
+            debug( 2, `<dim>~ side-branch block #${index} (${block.hash}) forks too far back, ignoring.</>`)
+            return false
+        }
+        this.checkCheckpoint( index, block.hash )
+        if( !parentKnown ){
+            // hold it till its parent shows up, as long as its own seal (ex. proof-of-work) checks out (no free spam)
+            if( block.hash === blockData.hash && block.isMerkleValid() && this.Consensus.validateSeal(block) )
+                this.Orphans.add( blockData )
+            else
+                debug( 2, `<dim>~ block #${index} (${block.hash}) does not connect to a known block, and has an invalid seal, ignoring.</>`)
+            return false
+        }
+
+        // basic check, the block transactions get fully audited only if we switch to the branch
+        // header is checked against the branch's own history (ex. its retargets), not ours
+        const ancestry = this.getBlock(index - 1)?.hash === prevHash ? this.chain.slice(0, index) : this.getBranchAncestry(prevHash)
+        if( block.hash !== blockData.hash || !block.isMerkleValid() )
+            throw errorWithData( `[addBranchBlock] Side-branch block #${index} has an invalid hash or merkleRoot, rejecting.`, { blockData } )
+        const checkPow = !skipPow || index > this.lastCheckpointIndex()
+        if( checkPow )
+            this.Consensus.validateHeader( block, ancestry )
+
+        block.chainWork = (BigInt(ancestry[index - 1].chainWork || 0) + this.Consensus.blockWork(block)).toString()
+        this.Consensus.observeBlock( block )
+
+        this.saveBranchBlock(block)
+        debug( 2, `<cyan>~ saved side-branch block #${index} (${block.hash}) by ${block.minerName}</>`)
+        return true
+    }
+
+    saveBranchBlock( block ){
+        if( !block.options.branch )
+            block = new Block(block.getData(), { forceOverwrite: true, branch: true, nodeName: this.nodeName, dataPath: this.dataPath })
+        block.writeData(true)
+        this.branches[block.hash] = block
+    }
+
+    // walk back from a side-branch block to where it forks off our chain
+    findBranch( hash ){
+        let blocks = [], block = this.branches[hash]
+        while( block && block.index > 0 ){
+            blocks.unshift(block)
+            if( this.getBlock(block.index - 1)?.hash === block.prevHash )
+                return { forkIndex: block.index - 1, height: blocks.at(-1).index + 1, chainWork: blocks.at(-1).chainWork, blocks }
+            block = this.branches[block.prevHash]
+        }
+        return false
+    }
+
+    // the full list of blocks leading up to (and including) a side-branch block: our chain to the fork, then the branch
+    getBranchAncestry( hash ){
+        const branch = this.findBranch(hash)
+        if( !branch ) return []
+        return [ ...this.chain.slice(0, branch.forkIndex + 1), ...branch.blocks ]
+    }
+
+    // side-branch tips: blocks no other side-branch block builds on
+    getBranchTips(){
+        const parents = Object.values(this.branches).map( b => b.prevHash )
+        return Object.keys(this.branches).filter( hash => !parents.includes(hash) )
+    }
+
+    // add blocks that may compete with our chain; we only switch to a branch once it has more work than ours
+    addBranch( blocks, options = {} ){
+        let addBlockCnt = 0
+        for( const blockData of blocks )
+            if( this.addBranchBlock(blockData, options) ) addBlockCnt++
+
+        // orphans that were waiting on any of these blocks now connect too
+        addBlockCnt += this.connectOrphans( blocks.map( b => b.hash ) )
+
+        // find the heaviest branch; ties stay with our chain (the one we received first)
+        const branches = this.getBranchTips().map( hash => this.findBranch(hash) ).filter( branch => branch && !this.Finality.isFinal(branch.forkIndex + 1) )
+        const bestBranch = this.Consensus.chooseChain( this.getChainWork(), branches )
+
+        if( !bestBranch ) return { error: false, addBlockCnt, switched: false }
+
+        const addResult = this.switchBranch(bestBranch, options)
+        return { ...addResult, addBlockCnt, switched: true }
+    }
+
+    // place orphans waiting on these hashes as side-branch blocks, and in turn any waiting on those
+    connectOrphans( hashes ){
+        let connectCnt = 0
+        const parents = [ ...hashes ]
+        while( parents.length > 0 ){
+            const hash = parents.shift()
+            // parent itself still waiting (orphaned), leave its children be
+            if( this.Orphans.has(hash) ) continue
+            for( const blockData of this.Orphans.take( hash ) ){
+                try {
+                    if( this.addBranchBlock(blockData) ){
+                        debug( 2, `<cyan>~ connected orphan block #${blockData.index} (${blockData.hash})</>`)
+                        connectCnt++
+                        parents.push( blockData.hash )
+                    }
+                } catch( e ){
+                    debug( 1, `<red>ERROR:</> orphan block #${blockData.index} (${blockData.hash}) failed to connect: ${e.message}`)
+                }
+            }
+        }
+        return connectCnt
+    }
+
+    // a block was added to our chain tip: any orphans waiting on it can be connected (switching onto them if heavier)
+    adoptOrphans( hash ){
+        const blocks = this.Orphans.take( hash )
+        if( blocks.length < 1 ) return { error: false, addBlockCnt: 0, switched: false }
+        return this.addBranch( blocks )
+    }
+
+    switchBranch({ forkIndex, blocks }, options = {}){
+        debug( 2, `<yellow>~ switching to side-branch forking at #${forkIndex}, new height ${forkIndex + 1 + blocks.length} (ours ${this.height()}), work ${blocks.at(-1).chainWork} (ours ${this.getChainWork()})</>`)
+
+        // keep our blocks past the fork as a side-branch, in case it becomes heavier again
+        const dropBlocks = this.chain.slice(forkIndex + 1)
+        for( const block of dropBlocks )
+            this.saveBranchBlock(block)
+
+        let addResult
+        try {
+            addResult = this.addChain(blocks.map( b => b.getData() ), { forceOverwrite: true, skipPow: options.skipPow })
+        } catch( e ){
+            // branch had a bad block, forget it and go back to the blocks we had
+            debug( 1, `<red>ERROR:</> side-branch failed (${e.message}), dropping it and restoring our chain.`)
+            for( const block of blocks )
+                this.deleteBranchBlock(block.hash)
+            if( dropBlocks.length > 0 )
+                this.addChain(dropBlocks.map( b => b.getData() ), { forceOverwrite: true })
+            for( const block of dropBlocks )
+                this.deleteBranchBlock(block.hash)
+            throw e
+        }
+
+        // branch blocks are now our chain; remove the branch copies, and any of our old block files past the new tip
+        for( const block of blocks )
+            this.deleteBranchBlock(block.hash)
+        for( const block of dropBlocks )
+            if( block.index >= this.height() ) block.deleteData()
+
+        this.pruneBranches()
+        return addResult
+    }
+
+    deleteBranchBlock( hash ){
+        if( !this.branches[hash] ) return
+        this.branches[hash].deleteData()
+        delete this.branches[hash]
+    }
+
+    // drop side-branches that fork too far back (or below finality) to ever be switched to
+    pruneBranches(){
+        for( const [hash, block] of Object.entries(this.branches) )
+            if( block.index <= this.height() - BRANCH_MAX_DEPTH || this.Finality.isFinal(block.index) || this.getBlock(block.index)?.hash === hash )
+                this.deleteBranchBlock(hash)
     }
 
     rollbackBlock( blockData ){
@@ -339,12 +1050,16 @@ export default class Blockchain {
                 debug( 3, `<dim>~ Reversed ${blockData.transactions.length} transactions from block ${blockIndex}</>`)
             }
 
-            // Remove block from chain if it exists
-            const blockFile = path.join(this.dataPath, `${blockIndex.toString().padStart(6, '0')}.json`)
-            if (fs.existsSync(blockFile)) {
-                fs.unlinkSync(blockFile)
-                debug( 3, `<dim>~ Removed block file ${blockFile}</>`)
+            // Remove block from store if it was written (and isn't the one our chain has there, ex. a peer's came first)
+            const store = Block.openStore(this.dataPath, this.nodeName)
+            const blockKey = Block.storeKey(blockIndex)
+            if (store.get(blockKey)?.hash === blockData.hash && this.getBlock(blockIndex)?.hash !== blockData.hash) {
+                store.delete(blockKey)
+                debug( 3, `<dim>~ Removed stored block ${blockKey}</>`)
             }
+            // and from the index, if it got that far
+            if (this.getBlock(blockIndex)?.hash !== blockData.hash)
+                this.ChainIndex.remove(blockIndex, blockData.hash)
 
             return true
         } catch (error) {
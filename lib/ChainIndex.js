@@ -0,0 +1,132 @@
+/**************************************************************************
+ * Transaction and Block-Hash Index
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Where things are on our chain, without scanning blocks: each block hash ->
+ * its index, each transaction hash -> the block index and its position in
+ * that block's transactions. Kept on disk ('chainIndex.log' in the node data
+ * folder), so it also covers blocks a pruned node no longer has.
+ *
+ * Like the block store's offset index (see BlockStoreLog) it's an append-only
+ * log: a line per block added ({ index, hash, transactions: [hashes] }), a
+ * 'removed' line per block taken off our chain (reorg, rollback); replayed on
+ * start, rewritten with just our chain's blocks once mostly stale lines.
+ * ***********************************************************************/
+
+import fs from 'fs'
+import path from 'path'
+import { appendFileSynced, writeFileAtomic, debug } from './helper.js'
+
+const INDEX_COMPACT_MIN = 1000  // lines before rewriting it (if over half are stale) is worth it
+
+export default class ChainIndex {
+    constructor( directory ){
+        this.file = path.join(directory, 'chainIndex.log')
+        this.blocks = new Map()         // block index -> { hash, transactions: [hashes] }
+        this.blockHashes = new Map()    // block hash -> block index
+        this.transactions = new Map()   // transaction hash -> { index, position }
+        this.lines = 0                  // lines in the file (live + stale)
+
+        if( !fs.existsSync(directory) ) fs.mkdirSync(directory, { recursive: true })
+        this.load()
+    }
+
+    load(){
+        if( !fs.existsSync(this.file) ) return
+
+        let damaged = false
+        for( const line of fs.readFileSync(this.file, 'utf8').split('\n') ){
+            if( !line ) continue
+            let entry
+            try {
+                entry = JSON.parse(line)
+            } catch( e ){
+                // a partly written line (stopped mid-write), that block is re-indexed as the chain loads
+                debug( 1, `<red>ERROR:</> chain index line unreadable, skipping: ${line.slice(0, 80)}` )
+                damaged = true
+                continue
+            }
+            this.lines++
+            if( entry.removed ) this.unindex( entry.index, entry.hash )
+            else this.indexBlock( entry )
+        }
+        // rewrite it whole, so the next line isn't appended onto the broken one
+        if( damaged ) this.rewrite()
+        debug( 3, `<cyan>~ chain index: ${this.blocks.size} blocks, ${this.transactions.size} transactions</>` )
+    }
+
+    // a block now on our chain (replacing whatever was indexed at its index); nothing to do if it's there already
+    // (ex. replaying the chain on start, or a pruned block's header: its transactions are what they were)
+    add( block ){
+        if( this.blocks.get(block.index)?.hash === block.hash ) return
+
+        this.remove( block.index, this.blocks.get(block.index)?.hash )
+        const entry = { index: block.index, hash: block.hash, transactions: (block.transactions || []).map( t => t.hash ) }
+        this.append( entry )
+        this.indexBlock( entry )
+        this.compact()
+    }
+
+    // block taken off our chain (only if it's the one indexed there)
+    remove( index, hash ){
+        if( !hash || this.blocks.get(index)?.hash !== hash ) return
+
+        this.append({ index, hash, removed: true })
+        this.unindex( index, hash )
+        this.compact()
+    }
+
+    // drop what's indexed from index on (ex. on start: blocks past the tip we loaded, left by a crash)
+    removeFrom( index ){
+        for( const [blockIndex, { hash }] of [ ...this.blocks ].filter( ([blockIndex]) => blockIndex >= index ) )
+            this.remove( blockIndex, hash )
+    }
+
+    // block index for the block hash, false if not on our chain
+    findBlock( hash ){
+        return this.blockHashes.has(hash) ? this.blockHashes.get(hash) : false
+    }
+
+    // { index, position } of the transaction, false if not on our chain
+    findTransaction( hash ){
+        return this.transactions.get(hash) || false
+    }
+
+    indexBlock( { index, hash, transactions } ){
+        this.unindex( index, this.blocks.get(index)?.hash )
+        this.blocks.set( index, { hash, transactions } )
+        this.blockHashes.set( hash, index )
+        transactions.forEach( (transactionHash, position) => this.transactions.set(transactionHash, { index, position }) )
+    }
+
+    unindex( index, hash ){
+        const block = this.blocks.get(index)
+        if( !block || block.hash !== hash ) return
+
+        this.blocks.delete(index)
+        this.blockHashes.delete(hash)
+        for( const transactionHash of block.transactions )
+            if( this.transactions.get(transactionHash)?.index === index ) this.transactions.delete(transactionHash)
+    }
+
+    append( entry ){
+        appendFileSynced( this.file, JSON.stringify(entry) + '\n' )
+        this.lines++
+    }
+
+    // mostly stale lines: rewrite with just the live blocks
+    compact(){
+        if( this.lines > INDEX_COMPACT_MIN && this.lines > 2 * this.blocks.size )
+            this.rewrite()
+    }
+
+    // (atomically, so there's always a whole index)
+    rewrite(){
+        const lines = [ ...this.blocks ].sort( (a, b) => a[0] - b[0] ).map( ([index, { hash, transactions }]) => JSON.stringify({ index, hash, transactions }) + '\n' )
+        writeFileAtomic( this.file, lines.join('') )
+        this.lines = lines.length
+    }
+}
@@ -0,0 +1,104 @@
+/**************************************************************************
+ * Chain Specification (genesis + network parameters)
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Everything every node on a network MUST agree on lives in a versioned
+ * chain-spec JSON file (ex. chainspec/mainnet.json), rather than each node's .env:
+ * - tokens: base token + mint token names
+ * - genesis: supply, admin (*root) publicKey + its pre-signed txAuth, and any
+ *   initial allocations [{ dest: 'name:publicKey', amount, txAuth }] (airdrops from the base token)
+ * - reward: initial mining reward, halving interval, maturity depth
+ * - finality: depth at which blocks are final (no reorg below them), see Finality.js
+ * - consensus: engine ('pow', or 'poa' / 'pos' with their validators), see Consensus.js
+ * - difficulty (pow): target block time, retarget window/factor, initial + limit target bits
+ * - versionBits: soft-fork deployments miners signal for in block versions (window, threshold, deployments), see Deployments.js
+ * - snapshot: every how many blocks a header commits to the ledger state (0: never), see Blockchain.ledgerState
+ * - fees, block limits (transactions per block, timestamp rules), checkpoints
+ *
+ * The hash of the parts that define the chain (genesis, tokens, address prefix,
+ * reward schedule, consensus/difficulty rules) is the network ID, peers on a
+ * different one are ignored. The rest can be updated without splitting the
+ * network: checkpoints, soft-fork deployments (the point of versionBits is no
+ * flag day), finality, snapshot interval, fees, default port.
+ *
+ * Several named networks can run side by side (NETWORK=mainnet|testnet|regtest in .env),
+ * each with its own spec (chainspec/{network}.json), which also gives its default port
+ * and address prefix (mixed into the publicKey checksum, so addresses don't cross networks),
+ * and its own data folder and user wallet file (see networkPath).
+ *
+ * The genesis admin publicKey / txAuth are part of the chain (and so of the
+ * network ID), so they're in each network's file. Only a local regtest chain
+ * may leave them empty, to be taken from .env (BLOCKCHAIN_PUBLICKEY /
+ * BLOCKCHAIN_TXAUTH) as before.
+ * ***********************************************************************/
+
+import fs from 'fs'
+import path from 'path'
+import { errorWithData } from './helper.js'
+
+import Crypto from './Crypto.js'
+
+// from .env
+const NETWORK = process.env.NETWORK || 'mainnet'                                // named network to run on
+const CHAIN_SPEC = process.env.CHAIN_SPEC || `./chainspec/${NETWORK}.json`      // chain-spec file to use (default by network)
+const BLOCKCHAIN_PUBLICKEY = process.env.BLOCKCHAIN_PUBLICKEY
+const BLOCKCHAIN_TXAUTH = process.env.BLOCKCHAIN_TXAUTH
+
+const REQUIRED_SECTIONS = ['tokens', 'genesis', 'reward', 'fees', 'block']
+const NETWORK_ID_SECTIONS = ['genesis', 'tokens', 'addressPrefix', 'reward', 'consensus', 'difficulty']    // what the network ID hashes (see above)
+
+export default class ChainSpec {
+    constructor( specFile = CHAIN_SPEC ){
+        this.specFile = path.resolve(specFile)
+        if( !fs.existsSync(this.specFile) )
+            throw errorWithData( `Chain-spec file (${this.specFile}) not found, unable to start.` )
+
+        const spec = JSON.parse( fs.readFileSync(this.specFile, 'utf8') )
+        for( const section of REQUIRED_SECTIONS )
+            if( !spec[section] ) throw errorWithData( `Chain-spec (${this.specFile}) is missing the '${section}' section.`, { section } )
+
+        // genesis signing info: from the file, a regtest chain (local only) can have it from .env instead
+        if( spec.name === 'regtest' ){
+            spec.genesis.adminPublicKey = spec.genesis.adminPublicKey || BLOCKCHAIN_PUBLICKEY
+            spec.genesis.txAuth = spec.genesis.txAuth || BLOCKCHAIN_TXAUTH
+        } else if( !spec.genesis.adminPublicKey || !spec.genesis.txAuth )
+            throw errorWithData( `Chain-spec (${this.specFile}) is missing the genesis adminPublicKey / txAuth (only regtest may take them from .env).` )
+        spec.genesis.allocations = spec.genesis.allocations || []
+        spec.checkpoints = spec.checkpoints || {}
+        spec.addressPrefix = spec.addressPrefix || 0
+        spec.consensus = spec.consensus || { engine: 'pow' }
+        spec.finality = spec.finality || { depth: 6 }
+        spec.snapshot = spec.snapshot || { interval: 0 }
+        spec.versionBits = spec.versionBits || { window: 1000, threshold: 950, deployments: {} }
+
+        if( spec.consensus.engine === 'pow' ){
+            if( !spec.difficulty ) throw errorWithData( `Chain-spec (${this.specFile}) is missing the 'difficulty' section (needed for proof-of-work).` )
+            // target bits are hex strings in the file for readability
+            spec.difficulty.initialBits = Number(spec.difficulty.initialBits)
+            spec.difficulty.powLimitBits = Number(spec.difficulty.powLimitBits)
+        }
+
+        Object.assign(this, spec)
+
+        // the network is identified by the (resolved) sections that define the chain, any difference there means a different chain
+        this.networkId = Crypto.hashRaw( Object.fromEntries( NETWORK_ID_SECTIONS.map( section => [section, spec[section] ?? null] ) ), 'hex' )
+    }
+
+    // named network we run on (NETWORK in .env)
+    static network(){
+        return NETWORK
+    }
+
+    // where a network's files go, so networks never mix: the path (from .env setting 'name') as is for mainnet, else in a
+    // sub-folder named by the network (file ex. 'data/testnet/wallet.json', folder 'data/testnet'); throws if not set
+    static networkPath( name, { file = false } = {} ){
+        const setPath = process.env[name]
+        if( !setPath )
+            throw errorWithData( `${name} is not set (in .env, or on the command line), unable to continue.`, { name } )
+        if( NETWORK === 'mainnet' ) return setPath
+        return file ? path.join(path.dirname(setPath), NETWORK, path.basename(setPath)) : path.join(setPath, NETWORK)
+    }
+}
@@ -0,0 +1,105 @@
+/**************************************************************************
+ * Consensus Engine Interface
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * How blocks are sealed, what makes a block header valid, and which chain
+ * to follow are the consensus rules; they live behind this interface so the
+ * Blockchain/Miner don't care if blocks are mined (proof-of-work) or signed
+ * by a set of validators (proof-of-authority, proof-of-stake). The engine is
+ * picked by the chain-spec ("consensus": { "engine": "pow" | "poa" | "pos", ... }).
+ *
+ * An engine implements:
+ * - prepareHeader(blockData, chain): fill in engine header fields (ex. bits) of a new block
+ * - validateHeader(block, chain, options): throws if the block's header/seal isn't valid on that chain
+ *   (options.headersOnly: chain is headers only, no transactions, see Blockchain.validateHeaders)
+ * - validateSeal(block): check the seal alone (no chain context), ex. for orphans
+ * - sealBlock(block, options): seal the block (mine / sign it); true if sealed
+ * - blockWork(block): work the block adds to its chain's chainWork
+ * - canSeal(index, chain): can this node seal the block at index
+ * Optional (defaults below): expectedProducer(), observeBlock(), slashTransactions(), quorumFinalized(),
+ * saveState()/loadState() (engine state built from block bodies, kept in a pruned node's ledger snapshot).
+ * chooseChain() is shared: the chain with the most work wins.
+ *
+ * 'chain' is always the blocks before the one in question, from genesis.
+ * ***********************************************************************/
+
+import { errorWithData } from './helper.js'
+
+export default class Consensus {
+    constructor( chainSpec, name ){
+        this.chainSpec = chainSpec
+        this.name = name
+        this.sealInWorker = false // true: sealing is CPU heavy, the Miner offloads it to the MinerWorker
+        this.emptyBlocks = false  // true: seal blocks even with no pending transactions (keeps a rotation going)
+        this.slashing = false     // true: blocks may carry 'stakeSlash' transactions (checked by validateHeader)
+    }
+
+    prepareHeader( blockData, chain ){
+        throw errorWithData( `${this.name} consensus does not implement prepareHeader()` )
+    }
+
+    validateHeader( block, chain, options = {} ){
+        throw errorWithData( `${this.name} consensus does not implement validateHeader()` )
+    }
+
+    validateSeal( block ){
+        throw errorWithData( `${this.name} consensus does not implement validateSeal()` )
+    }
+
+    sealBlock( block, options = {} ){
+        throw errorWithData( `${this.name} consensus does not implement sealBlock()` )
+    }
+
+    blockWork( block ){
+        throw errorWithData( `${this.name} consensus does not implement blockWork()` )
+    }
+
+    canSeal( index, chain ){
+        return true
+    }
+
+    // name of the node that must produce block #index, if the engine decides that (else false: anyone may)
+    expectedProducer( index, chain ){
+        return false
+    }
+
+    // a block passed validateHeader (on our chain or a side-branch); engines can watch for misbehaviour
+    observeBlock( block ){
+    }
+
+    // system transactions punishing misbehaviour, for the next block on chain
+    slashTransactions( chain ){
+        return []
+    }
+
+    // highest block index a quorum of validators has finalized (see Finality); engines without one: only genesis
+    quorumFinalized( chain ){
+        return 0
+    }
+
+    // state the engine tallies from block transactions, as of the end of chain (null: none); a pruned node keeps
+    // it with its ledger snapshot since the bodies are gone (see Blockchain.prune)
+    saveState( chain ){
+        return null
+    }
+
+    loadState( state ){
+    }
+
+    // target the block at index must meet, with a human-readable difficulty (engines without one: bits 0)
+    nextTarget( index, chain ){
+        return { bits: 0, difficulty: 1 }
+    }
+
+    // of the candidates ({ chainWork, ... }), the one with strictly more work than ours; ties stay with
+    // ours (first-received chain). false if none are better.
+    chooseChain( ourWork, candidates ){
+        let best = false
+        for( const candidate of candidates )
+            if( BigInt(candidate.chainWork || 0) > BigInt(best ? best.chainWork : ourWork || 0) ) best = candidate
+        return best
+    }
+}
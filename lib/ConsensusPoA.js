@@ -0,0 +1,106 @@
+/**************************************************************************
+ * Proof-of-Authority Consensus
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * For private deployments: no CPU is burnt, a fixed set of validators
+ * (chain-spec consensus.validators: [ 'name:publicKey', ... ]) take turns
+ * producing blocks; block #i must be signed by validators[i % count].
+ *
+ * The signature (block.seal) is over the block hash, so it isn't part of it.
+ * Every block adds the same work, so the longest valid chain wins.
+ *
+ * The in-turn validator seals a block every mining attempt, even with no
+ * pending transactions, otherwise the rotation would stall on it.
+ *
+ * Blocks are final (see Finality) once more than 2/3 of the validators have
+ * signed them or built on them.
+ * ***********************************************************************/
+
+import { errorWithData } from './helper.js'
+
+import Crypto from './Crypto.js'
+import Consensus from './Consensus.js'
+
+export default class ConsensusPoA extends Consensus {
+    constructor( chainSpec, { nodeName, Wallet } = {} ){
+        super( chainSpec, 'poa' )
+        this.emptyBlocks = true
+        this.nodeName = nodeName
+        this.Wallet = Wallet
+
+        this.validators = (chainSpec.consensus.validators || []).map( v => {
+            const [ name, publicKey ] = v.split(':')
+            return { name, publicKey }
+        })
+        if( this.validators.length < 1 || this.validators.some( v => !v.name || !v.publicKey ) )
+            throw errorWithData( `Proof-of-authority chain-spec needs consensus.validators: [ 'name:publicKey', ... ]`, { validators: chainSpec.consensus.validators } )
+    }
+
+    // validator whose turn it is to seal block #index
+    validatorFor( index ){
+        return this.validators[index % this.validators.length]
+    }
+
+    prepareHeader( blockData, chain ){
+        blockData.bits = 0
+    }
+
+    validateHeader( block, chain, options = {} ){
+        if( block.index === 0 ) return
+
+        const validator = this.validatorFor( block.index )
+        if( block.minerName !== validator.name )
+            throw errorWithData( `Block #${block.index} produced by ${block.minerName}, but it was ${validator.name}'s turn. Rejecting.`, { index: block.index, validator: validator.name } )
+        if( !this.validateSeal(block) )
+            throw errorWithData( `Block #${block.index} seal is not a valid signature by ${validator.name}. Rejecting.`, { index: block.index } )
+    }
+
+    // signed by the validator named as its producer (turn order needs the chain, see validateHeader)
+    validateSeal( block ){
+        const validator = this.validators.find( v => v.name === block.minerName )
+        if( !validator || !block.seal || typeof(block.hash) !== 'string' ) return false
+        try {
+            // last character of publicKey is the checksum
+            return Crypto.decode(validator.publicKey.slice(0,-1), block.seal) === block.hash
+        } catch( e ){
+            return false
+        }
+    }
+
+    sealBlock( block, options = {} ){
+        if( !this.canSeal(block.index) ) return false
+
+        block.hash = block.calcHash()
+        block.seal = this.Wallet.sign(this.nodeName, block.hash).split(':')[1]
+        return true
+    }
+
+    blockWork( block ){
+        return 1n
+    }
+
+    // BFT-style: a block is final once more than 2/3 of the validators signed it or a block built on it
+    quorumFinalized( chain ){
+        const quorum = Math.floor(this.validators.length * 2 / 3) + 1
+        const signers = new Set()
+        for( let i = chain.length - 1; i > 0; i-- ){
+            signers.add( chain[i].minerName )
+            if( signers.size >= quorum ) return i
+        }
+        return 0
+    }
+
+    // only on our turn, and only if our wallet holds that validator's key
+    canSeal( index ){
+        const validator = this.validatorFor( index )
+        if( validator.name !== this.nodeName || !this.Wallet ) return false
+        try {
+            return this.Wallet.getUserPublicKey(this.nodeName) === validator.publicKey
+        } catch( e ){
+            return false
+        }
+    }
+}
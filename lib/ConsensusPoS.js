@@ -0,0 +1,252 @@
+/**************************************************************************
+ * Proof-of-Stake Consensus
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Validators put up stake instead of burning CPU: on a 'pos' chain a
+ * minerDeposit (of the base token) locks its amount in the receiving wallet
+ * as that validator's stake. For each block, one validator is chosen, with
+ * odds in proportion to stake, seeded by the parent block's hash, so every
+ * node picks the same one. The block is signed by it (block.seal), like PoA.
+ *
+ * Till anything is staked, the chain-spec validators (consensus.validators:
+ * [ 'name:publicKey', ... ]) take turns, so the chain can get going.
+ *
+ * Slot = the parent block: a validator signing two different blocks on the
+ * same parent is double-signing. Any node that sees both puts them in its next
+ * block as evidence (a 'stakeSlash' transaction), forfeiting the offender's
+ * whole stake to the base token pool; they are never chosen again.
+ *
+ * Stakes are tallied from the chain itself (not the wallets), so side-branches
+ * are judged by their own history. They're kept by publicKey, not by name: a
+ * deposit to 'alice:<otherKey>' is a new validator, not more of alice's stake.
+ * The slashing evidence is the two block headers (the seal is over the hash,
+ * which the header fields give), so it stays small.
+ *
+ * Stake is locked for good: there's no unstaking (intended, for now), it only
+ * ever grows with more deposits, or goes (whole) to a slash.
+ * ***********************************************************************/
+
+import { fixRounding, debug, errorWithData } from './helper.js'
+
+import Block from './Block.js'
+import Crypto from './Crypto.js'
+import Consensus from './Consensus.js'
+
+const STAKE_UNITS = 100000000       // stakes are weighed in integer units (amounts are rounded to 8 decimals)
+const EVIDENCE_WINDOW = 100         // blocks this far behind the newest seen can't be double-signed any more (for us)
+
+export default class ConsensusPoS extends Consensus {
+    constructor( chainSpec, { nodeName, Wallet } = {} ){
+        super( chainSpec, 'pos' )
+        this.emptyBlocks = true
+        this.slashing = true
+        this.nodeName = nodeName
+        this.Wallet = Wallet
+        this.BASE_TOKEN = chainSpec.tokens.base
+
+        this.bootstrapValidators = (chainSpec.consensus.validators || []).map( v => {
+            const [ name, publicKey ] = v.split(':')
+            return { name, publicKey }
+        })
+        if( this.bootstrapValidators.length < 1 || this.bootstrapValidators.some( v => !v.name || !v.publicKey ) )
+            throw errorWithData( `Proof-of-stake chain-spec needs consensus.validators: [ 'name:publicKey', ... ] to produce blocks till stake is deposited`, { validators: chainSpec.consensus.validators } )
+
+        this.stakeCache = new Map()     // tip hash -> stake table as of that block
+        this.baseStakes = false         // pruned node: { hash, stakes } as of the ledger snapshot (the blocks before are bodiless), never evicted
+        this.seen = new Map()           // prevHash:minerName -> first block seen signed for that slot
+        this.evidence = new Map()       // prevHash:minerName -> [ header, header ] double-signed
+        this.sealed = new Map()         // prevHash -> { index, hash } of the block we sealed on it (never sign a second)
+    }
+
+    // { publicKey: { name, stake, slashed } } as of the end of chain
+    stakes( chain ){
+        if( chain.length < 1 ) return {}
+
+        // start from the latest block we have a tally for (or a pruned node's base, no further back), add the blocks after it
+        const isBase = block => block.hash === this.baseStakes?.hash
+        let from = chain.length, table = {}
+        while( from > 0 && !this.stakeCache.has(chain[from - 1].hash) && !isBase(chain[from - 1]) ) from--
+        if( from > 0 ) table = structuredClone( this.stakeCache.get(chain[from - 1].hash) || this.baseStakes.stakes )
+
+        for( const block of chain.slice(from) ){
+            for( const t of block.transactions ){
+                if( t.type === 'minerDeposit' && t.token === this.BASE_TOKEN ){
+                    const [ name, publicKey ] = t.dest.split(':')
+                    if( !table[publicKey] ) table[publicKey] = { name, stake: 0, slashed: false }
+                    if( !table[publicKey].slashed ) table[publicKey].stake = fixRounding( table[publicKey].stake + Number(t.amount) )
+                } else if( t.type === 'stakeSlash' ){
+                    const [ name, publicKey ] = t.src.split(':')
+                    table[publicKey] = { name, ...table[publicKey], stake: 0, slashed: true }
+                }
+            }
+        }
+
+        this.stakeCache.set( chain.at(-1).hash, table )
+        // keep recent tallies only (forks rarely reach further back)
+        if( this.stakeCache.size > EVIDENCE_WINDOW ) this.stakeCache.delete( this.stakeCache.keys().next().value )
+        this.lastStakes = table
+        return table
+    }
+
+    // the stake tally as of the tip, for a pruned node (its old block bodies, where stakes are tallied from, are gone)
+    saveState( chain ){
+        return chain.length > 0 ? { hash: chain.at(-1).hash, stakes: this.stakes(chain) } : null
+    }
+
+    loadState( state ){
+        if( !state?.hash ) return
+        this.baseStakes = { hash: state.hash, stakes: state.stakes }
+        this.lastStakes = state.stakes
+    }
+
+    // the validator chosen for block #index (on top of chain); { name, publicKey }
+    validatorFor( index, chain ){
+        const table = this.stakes( chain )
+        const stakers = Object.keys(table).filter( publicKey => table[publicKey].stake > 0 ).sort()
+        if( stakers.length < 1 ) return this.bootstrapValidators[index % this.bootstrapValidators.length]
+
+        // walk the stakers (sorted by publicKey, same order on every node) till we pass a random point within the total stake
+        const weights = stakers.map( publicKey => BigInt(Math.round(table[publicKey].stake * STAKE_UNITS)) )
+        const total = weights.reduce( (sum, w) => sum + w, 0n )
+        let point = BigInt('0x' + Crypto.hashRaw(`${chain[index - 1].hash}:${index}`, 'hex')) % total
+        for( const [idx, publicKey] of stakers.entries() ){
+            if( point < weights[idx] ) return { name: table[publicKey].name, publicKey }
+            point -= weights[idx]
+        }
+    }
+
+    expectedProducer( index, chain ){
+        return index > 0 ? this.validatorFor( index, chain ).name : false
+    }
+
+    prepareHeader( blockData, chain ){
+        blockData.bits = 0
+    }
+
+    validateHeader( block, chain, options = {} ){
+        if( block.index === 0 ) return
+
+        // header-only (sync): who was chosen depends on the stakes in the block bodies, so just check it's signed
+        // by a validator we know of; the full check happens once the bodies arrive
+        if( options.headersOnly ){
+            if( !this.validateSeal(block) )
+                throw errorWithData( `Block #${block.index} header is not signed by a known validator (${block.minerName}). Rejecting.`, { index: block.index } )
+            return
+        }
+
+        const validator = this.validatorFor( block.index, chain )
+        if( block.minerName !== validator.name )
+            throw errorWithData( `Block #${block.index} produced by ${block.minerName}, but ${validator.name} was chosen for it. Rejecting.`, { index: block.index, validator: validator.name } )
+        if( !this.checkSignature(block, validator.publicKey) )
+            throw errorWithData( `Block #${block.index} seal is not a valid signature by ${validator.name}. Rejecting.`, { index: block.index } )
+
+        // any slashing in it must come with proof
+        const table = this.stakes( chain ), slashed = []
+        for( const t of block.transactions.filter( t => t.type === 'stakeSlash' ) ){
+            const [ name, publicKey ] = t.src.split(':')
+            const staker = table[publicKey]
+            if( slashed.includes(publicKey) || !staker || staker.name !== name || staker.slashed || staker.stake <= 0 )
+                throw errorWithData( `Block #${block.index} slashes ${t.src}, who has no stake to slash. Rejecting.`, { index: block.index, name } )
+            if( Number(t.amount) !== staker.stake )
+                throw errorWithData( `Block #${block.index} slashes ${name} for ${t.amount}, but their stake is ${staker.stake}. Rejecting.`, { index: block.index, name } )
+            if( !this.isDoubleSign(t.evidence, name, publicKey) )
+                throw errorWithData( `Block #${block.index} slashes ${name} without valid double-sign evidence. Rejecting.`, { index: block.index, name } )
+            slashed.push( publicKey )
+        }
+    }
+
+    // without the chain we can't tell who was chosen, so just check it's signed by a validator we know of (by that name)
+    validateSeal( block ){
+        const stakers = Object.entries(this.lastStakes || {}).map( ([publicKey, { name }]) => ({ name, publicKey }) )
+        return [ ...stakers, ...this.bootstrapValidators ]
+            .some( v => v.name === block.minerName && this.checkSignature(block, v.publicKey) )
+    }
+
+    checkSignature( block, publicKey ){
+        if( !block.seal || typeof(block.hash) !== 'string' ) return false
+        try {
+            // last character of publicKey is the checksum
+            return Crypto.decode(publicKey.slice(0,-1), block.seal) === block.hash
+        } catch( e ){
+            return false
+        }
+    }
+
+    // two different block headers for the same slot (parent), both really signed by name (publicKey)
+    isDoubleSign( evidence, name, publicKey ){
+        if( !Array.isArray(evidence) || evidence.length !== 2 || evidence.some( header => 'transactions' in header ) ) return false
+        const blocks = evidence.map( header => new Block(header, { forceOverwrite: true }) )
+        const [ a, b ] = blocks
+        return a.prevHash === b.prevHash && a.index === b.index && a.hash !== b.hash
+            && blocks.every( (block, idx) => block.minerName === name && block.hash === evidence[idx].hash && this.checkSignature(block, publicKey) )
+    }
+
+    sealBlock( block, { chain } = {} ){
+        if( !chain || !this.canSeal(block.index, chain) ) return false
+
+        block.hash = block.calcHash()
+        // signing a second, different, block on the same parent would get our stake slashed
+        const sealed = this.sealed.get(block.prevHash)
+        if( sealed && sealed.hash !== block.hash ) return false
+        block.seal = this.Wallet.sign(this.nodeName, block.hash).split(':')[1]
+        this.sealed.set( block.prevHash, { index: block.index, hash: block.hash } )
+
+        // forget slots too far back to be slashed for (as observeBlock)
+        for( const [prevHash, { index }] of this.sealed )
+            if( index < block.index - EVIDENCE_WINDOW ) this.sealed.delete(prevHash)
+        return true
+    }
+
+    blockWork( block ){
+        return 1n
+    }
+
+    // only when we were chosen, and our wallet holds the key we staked with
+    canSeal( index, chain ){
+        if( !chain || index < 1 || index !== chain.length ) return false
+        const validator = this.validatorFor( index, chain )
+        if( validator.name !== this.nodeName || !this.Wallet ) return false
+        try {
+            return this.Wallet.getUserPublicKey(this.nodeName) === validator.publicKey
+        } catch( e ){
+            return false
+        }
+    }
+
+    // remember who signed what for each slot; a second, different, signed block for it is evidence
+    observeBlock( block ){
+        if( block.index < 1 ) return
+        const key = `${block.prevHash}:${block.minerName}`
+        const first = this.seen.get(key)
+        if( !first ){
+            this.seen.set( key, block.getHeader() )
+        } else if( first.hash !== block.hash && !this.evidence.has(key) ){
+            debug( 1, `<red>! ${block.minerName} signed two blocks for #${block.index} (${first.hash}, ${block.hash}), will be slashed</>` )
+            this.evidence.set( key, [ first, block.getHeader() ] )
+        }
+
+        // forget slots too far back
+        for( const [key, header] of this.seen )
+            if( header.index < block.index - EVIDENCE_WINDOW ) this.seen.delete(key)
+        for( const [key, evidence] of this.evidence )
+            if( evidence[0].index < block.index - EVIDENCE_WINDOW ) this.evidence.delete(key)
+    }
+
+    // slashing transactions for double-signers caught, that still have stake (on this chain)
+    slashTransactions( chain ){
+        const table = this.stakes( chain ), transactions = []
+        for( const evidence of this.evidence.values() ){
+            const name = evidence[0].minerName
+            // the staker (of that name) whose key signed both
+            const publicKey = Object.keys(table).find( publicKey => table[publicKey].name === name && this.isDoubleSign(evidence, name, publicKey) )
+            if( !publicKey || table[publicKey].slashed || table[publicKey].stake <= 0 ) continue
+            if( transactions.some( t => t.src === `${name}:${publicKey}` ) ) continue
+            transactions.push({ src: `${name}:${publicKey}`, dest: this.BASE_TOKEN, amount: table[publicKey].stake, token: this.BASE_TOKEN,
+                                type: 'stakeSlash', evidence })
+        }
+        return transactions
+    }
+}
@@ -0,0 +1,85 @@
+/**************************************************************************
+ * Proof-of-Work Consensus
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Bitcoin-style: a block is sealed by finding a nonce that makes its hash
+ * fall below the target (bits), which is retargeted every retargetWindow
+ * blocks to keep the block time near targetBlockTime (chain-spec 'difficulty').
+ * The chain with the most cumulative work wins.
+ * ***********************************************************************/
+
+import { debug, errorWithData } from './helper.js'
+
+import Block from './Block.js'
+import Consensus from './Consensus.js'
+
+export default class ConsensusPoW extends Consensus {
+    constructor( chainSpec ){
+        super( chainSpec, 'pow' )
+        this.sealInWorker = true
+    }
+
+    prepareHeader( blockData, chain ){
+        // genesis isn't mined, it simply carries the easiest target
+        blockData.bits = blockData.index === 0 ? this.chainSpec.difficulty.powLimitBits : this.calcBits( blockData.index, chain )
+    }
+
+    // the block must carry the target expected at this point in the chain, and its proof-of-work meet it
+    validateHeader( block, chain, options = {} ){
+        if( block.index === 0 ) return
+
+        const bits = this.calcBits( block.index, chain )
+        if( block.bits !== bits || !block.isHashValid(bits, block.hash) )
+            throw errorWithData( `Block #${block.index} bits (${block.bits}) / hash (${block.hash}) does not meet target bits ${bits}. Rejecting.`, { index: block.index, bits } )
+    }
+
+    // its own proof-of-work checks out (and the target is one we'd ever accept)
+    validateSeal( block ){
+        return block.isHashValid(block.bits, block.hash) && Block.bitsToTarget(block.bits) <= Block.bitsToTarget(this.chainSpec.difficulty.powLimitBits)
+    }
+
+    // grind nonces; can limit to try for X iterations (see MinerWorker)
+    sealBlock( block, { nonce, iterations } = {} ){
+        return block.mine( block.bits, nonce, iterations )
+    }
+
+    // expected number of hashes to find a block at this target
+    blockWork( block ){
+        return Block.calcWork( block.bits )
+    }
+
+    nextTarget( index, chain ){
+        const bits = this.calcBits( index, chain )
+        // human-readable: how many times harder than the easiest target (powLimitBits)
+        const difficulty = Number( Block.bitsToTarget(this.chainSpec.difficulty.powLimitBits) / Block.bitsToTarget(bits) )
+        return { bits, difficulty }
+    }
+
+    // retarget every retargetWindow blocks (real BTC: every 2016 blocks to maintain block time of 10 minutes):
+    // scale the target by the time the last window of blocks took against the time we wanted them to take
+    calcBits( index, chain ){
+        const { targetBlockTime, retargetWindow, maxRetargetFactor, initialBits, powLimitBits } = this.chainSpec.difficulty
+        // genesis block isn't mined, and its timestamp is 0, so the first window starts after it
+        if( index <= retargetWindow + 1 ) return initialBits
+
+        const prevBits = chain[index - 1].bits
+        if( index % retargetWindow !== 0 ) return prevBits
+
+        const targetTime = retargetWindow * targetBlockTime
+        let actualTime = chain[index - 1].timestamp - chain[index - retargetWindow - 1].timestamp
+        actualTime = Math.min( targetTime * maxRetargetFactor, Math.max( Math.floor(targetTime / maxRetargetFactor), actualTime ) )
+
+        // blocks came too fast -> lower target (harder); too slow -> raise it (easier), never above the pow limit
+        const powLimit = Block.bitsToTarget(powLimitBits)
+        let target = Block.bitsToTarget(prevBits) * BigInt(actualTime) / BigInt(targetTime)
+        if( target > powLimit ) target = powLimit
+        const bits = Block.targetToBits(target)
+
+        if( bits !== prevBits )
+            debug( 2, `<cyan>~ retarget @ #${index}: last ${retargetWindow} blocks took ${actualTime}s (target ${targetTime}s), bits ${prevBits.toString(16)} -> ${bits.toString(16)}</>`)
+        return bits
+    }
+}
@@ -65,10 +65,11 @@ export class Crypto {
         return Buffer.from(decoded).toString('utf-8')
     }
 
-    static keyChecksum(publicKey) {
+    // the network's address prefix seeds the checksum, so a key from another network fails it
+    static keyChecksum(publicKey, addressPrefix = 0) {
         // only use first 44 bytes
         const bytes = bs.decode(publicKey.slice(0,44))
-        const checksum = bytes.reduce((sum, byte) => (sum + byte) % 58, 0)
+        const checksum = bytes.reduce((sum, byte) => (sum + byte) % 58, addressPrefix % 58)
 
         return bs.encode(Buffer.from([checksum]))
     }
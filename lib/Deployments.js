@@ -0,0 +1,117 @@
+/**************************************************************************
+ * Version-Bits Deployments (soft-fork signalling)
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Rule changes are rolled out without a flag day, as BTC's BIP9: each is a
+ * named deployment in the chain-spec (versionBits.deployments: { name:
+ * { bit, start, timeout } }, heights), and miners ready for it signal by
+ * setting its bit in the blocks they produce: the block version gets a third
+ * part, the bits in hex (ex. '1:1.4:5' signals bits 0 and 2).
+ *
+ * The chain is cut in windows of versionBits.window blocks; at each window
+ * boundary a deployment moves on based on the window before it:
+ *   DEFINED   -> STARTED    once past its start height
+ *   STARTED   -> LOCKED_IN  once at least versionBits.threshold blocks signalled it
+ *             -> FAILED     if its timeout height came first
+ *   LOCKED_IN -> ACTIVE     one window later (time for the rest to upgrade)
+ *
+ * Blocks from the first ACTIVE window on are validated with the new rules
+ * (see Blockchain.auditRules: the deployments active at a height, whose
+ * DEPLOYMENT_RULES in TransactionHandler.auditTransactions then apply).
+ *
+ * States depend only on the chain's block versions, so every node agrees;
+ * they're cached per window by the hash of the block before it (so a reorg
+ * simply finds other entries).
+ * ***********************************************************************/
+
+import { debug, errorWithData } from './helper.js'
+
+// from .env
+const VERSION_SIGNALS = process.env.VERSION_SIGNALS     // deployments we signal for (comma separated; default: all in the chain-spec)
+
+const STATES = { DEFINED: 'DEFINED', STARTED: 'STARTED', LOCKED_IN: 'LOCKED_IN', ACTIVE: 'ACTIVE', FAILED: 'FAILED' }
+
+export default class Deployments {
+    constructor( { window, threshold, deployments = {} } ){
+        this.window = window
+        this.threshold = threshold
+        this.deployments = deployments
+        this.cache = new Map()  // hash of the block before a window -> { name: state } for that window
+
+        if( !(window > 0) || !(threshold > 0) || threshold > window )
+            throw errorWithData( `Chain-spec versionBits needs a window (blocks) and a threshold (signalling blocks needed, at most the window)`, { window, threshold } )
+        const bits = Object.values(deployments).map( d => d.bit )
+        for( const [name, { bit, start, timeout }] of Object.entries(deployments) )
+            if( !Number.isInteger(bit) || bit < 0 || bit > 28 || bits.indexOf(bit) !== bits.lastIndexOf(bit) || !(start >= 0) || !(timeout > start) )
+                throw errorWithData( `Chain-spec deployment '${name}' needs its own bit (0-28), a start height and a later timeout height`, { name, bit, start, timeout } )
+
+        // the ones we signal for (the operator may hold back)
+        this.signalling = VERSION_SIGNALS === undefined ? Object.keys(deployments) : VERSION_SIGNALS.split(',').map( n => n.trim() ).filter( n => deployments[n] )
+    }
+
+    // version bits a block signals (none for versions without the bits part)
+    static signalBits( version ){
+        const bits = String(version || '').split(':')[2]
+        return bits ? parseInt(bits, 16) || 0 : 0
+    }
+
+    // the version for a block at index: our version plus the bits of the deployments we signal for that are being voted on
+    blockVersion( version, index, chain ){
+        const states = this.states( index, chain )
+        const bits = this.signalling.filter( name => [STATES.STARTED, STATES.LOCKED_IN].includes(states[name]) )
+                                    .reduce( (bits, name) => bits | (1 << this.deployments[name].bit), 0 )
+        return bits > 0 ? `${version}:${bits.toString(16)}` : version
+    }
+
+    // { name: state } for the block at index (on top of chain[0..index-1])
+    states( index, chain ){
+        const windowStart = index - index % this.window
+        if( windowStart === 0 ) return Object.fromEntries( Object.keys(this.deployments).map( name => [name, STATES.DEFINED] ) )
+
+        const key = chain[windowStart - 1].hash
+        if( this.cache.has(key) ) return this.cache.get(key)
+
+        // from the window before: its states, moved on by what its blocks signalled
+        const prevStates = this.states( windowStart - this.window, chain )
+        const signals = {}
+        for( const [name, { bit }] of Object.entries(this.deployments) )
+            signals[name] = chain.slice( windowStart - this.window, windowStart ).filter( block => Deployments.signalBits(block.version) & (1 << bit) ).length
+
+        const states = {}
+        for( const [name, { start, timeout }] of Object.entries(this.deployments) ){
+            let state = prevStates[name]
+            if( state === STATES.DEFINED ){
+                if( windowStart >= timeout ) state = STATES.FAILED
+                else if( windowStart >= start ) state = STATES.STARTED
+            } else if( state === STATES.STARTED ){
+                if( windowStart >= timeout ) state = STATES.FAILED
+                else if( signals[name] >= this.threshold ) state = STATES.LOCKED_IN
+            } else if( state === STATES.LOCKED_IN ){
+                state = STATES.ACTIVE
+            }
+            if( state !== prevStates[name] )
+                debug( 3, `<cyan>~ deployment '${name}' ${state} from #${windowStart} (${signals[name]}/${this.window} signalled in the window before)</>` )
+            states[name] = state
+        }
+        this.cache.set( key, states )
+        return states
+    }
+
+    // names of the deployments whose rules apply to the block at index
+    active( index, chain ){
+        const states = this.states( index, chain )
+        return Object.keys(states).filter( name => states[name] === STATES.ACTIVE )
+    }
+
+    // for display: each deployment's state for the next block, and how many in the current window signalled it so far
+    status( chain ){
+        const index = chain.length, states = this.states( index, chain )
+        const windowBlocks = chain.slice( index - index % this.window )
+        return Object.fromEntries( Object.entries(this.deployments).map( ([name, { bit, start, timeout }]) =>
+            [name, { bit, start, timeout, state: states[name], signalled: windowBlocks.filter( block => Deployments.signalBits(block.version) & (1 << bit) ).length,
+                     window: this.window, threshold: this.threshold, signalling: this.signalling.includes(name) }] ) )
+    }
+}
@@ -0,0 +1,50 @@
+/**************************************************************************
+ * Block Finality Tracker
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Tells when a block (and the transactions in it) is safe to rely on: once
+ * final, the chain will never be reorganized at or below it.
+ *
+ * A block becomes final once either:
+ * - it is finality.depth blocks deep (chain-spec; confirmations, as BTC's "6 blocks")
+ * - the consensus engine says a quorum finalized it (ex. proof-of-authority: more
+ *   than 2/3 of the validators signed it or a block on top of it)
+ *
+ * Finality only moves forward; the finalized index is recalculated as blocks
+ * are added (see Blockchain.addBlock / addChain).
+ * ***********************************************************************/
+
+import { debug } from './helper.js'
+
+export default class Finality {
+    constructor( depth, Consensus ){
+        this.depth = depth
+        this.Consensus = Consensus
+        this.finalizedIndex = 0 // genesis is final from the start
+    }
+
+    // move finality forward for the chain as it is now
+    update( chain ){
+        const byDepth = chain.length - this.depth
+        const byQuorum = this.Consensus.quorumFinalized( chain )
+        const finalizedIndex = Math.min( chain.length - 1, Math.max(byDepth, byQuorum) )
+        if( finalizedIndex > this.finalizedIndex ){
+            debug( 4, `<cyan>~ finalized up to #${finalizedIndex} (${byQuorum >= byDepth ? 'quorum' : `${this.depth} deep`})</>` )
+            this.finalizedIndex = finalizedIndex
+        }
+        return this.finalizedIndex
+    }
+
+    isFinal( index ){
+        return index <= this.finalizedIndex
+    }
+
+    // confirmations: blocks on top of it, including itself (tip = 1); 0 if not on the chain
+    status( index, height ){
+        const confirmations = index >= 0 && index < height ? height - index : 0
+        return { confirmations, final: confirmations > 0 && this.isFinal(index) }
+    }
+}
@@ -69,6 +69,15 @@ class Hashes {
     clearBlockIdx( hash ){
         this.hashes[hash].index = -1
     }
+
+    // just the hashes that are in blocks (for a pruned node's ledger snapshot, see Blockchain.prune)
+    onBlock(){
+        return Object.fromEntries( Object.entries(this.hashes).filter( ([hash, { index }]) => index > -1 ) )
+    }
+
+    restore( hashes ){
+        Object.assign( this.hashes, hashes )
+    }
 }
 
 class Queue {
@@ -111,6 +120,10 @@ class Queue {
         this.Wallet.syncTxToChain( addresses ) // pass-thru to TransactionHandler.syncTxToChain
     }
 
+    reset(){
+        this.queue = []
+    }
+
     filter(item = '',value = ''){
         if( item === '' )
             return this.queue
@@ -245,7 +258,7 @@ export class Mempool {
 
         // every minute check for stale pending and delete
         if( Wallet )
-            setInterval(() => { this.Queue.purgeStale( time()-PENDING_TRANSACTION_STALE ) }, STALE_CHECK * 1000)
+            setInterval(() => { this.Queue.purgeStale( time()-PENDING_TRANSACTION_STALE ) }, STALE_CHECK * 1000).unref() // (housekeeping only, needn't keep the process up)
     }
 
     reset(){
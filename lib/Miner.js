@@ -6,9 +6,9 @@
  * MIT License
  * 
  * Instantiate with, for example:
- *    nodeName (miner), host (localhost), port (5000), dataPath (./data):
+ *    nodeName (miner), host (localhost), port (5000), dataPath (./data), chainSpec (network to run on):
  * 
- * const miner = new Miner({ nodeName, host, port, nodes, dataPath })
+ * const miner = new Miner({ nodeName, host, port, nodes, dataPath, chainSpec })
  * 
  * It will start a worker thread, and then try to reload all existing blocks
  * - mining timer will check every 10s on status or if pending transactions to work with
@@ -22,27 +22,31 @@
  * operations in deciding blocks to mine, and what info to communicate to other nodes.
  */
 
+import ChainSpec from './ChainSpec.js'
 import TransactionHandler from './TransactionHandler.js'
 import Blockchain from './Blockchain.js'
 import Wallet from './Wallet.js'
 import P2P from './P2P.js'
 import Mempool from './Mempool.js'
 import MinerWorker from './MinerWorker.js'
+import Block from './Block.js'
 
-import { fixRounding, time, waitReady, debug } from './helper.js'
+import { fixRounding, time, waitReady, debug, errorWithData } from './helper.js'
 
-const MINER_VERSION = '1:1.1'
+const GENERATE_MAX = 1000       // most blocks one generate call mines (the node does nothing else till they're done)
+const MINER_VERSION = '1:1.4'   // 1.2: block hash over the header only (transactions via merkleRoot); 1.3: ledger state hash in snapshot blocks; 1.4: stateRoot in every header
 
 // from .env
 const MINING_TRY_INTERVAL = process.env.MINING_TRY_INTERVAL    // how often to attempt to gather transactions to mine
+const PRUNE_DEPTH = Number(process.env.PRUNE_DEPTH || 1000)     // PRUNED nodes: how many recent blocks are kept whole
 
 // Miner Class =================================================================================
 export default class Miner {
     
-    constructor( nodeName, nodeType, host, port, peers, dataPath, walletFile ) {
+    constructor( nodeName, nodeType, host, port, peers, dataPath, walletFile, chainSpec = new ChainSpec() ) {
         this.version = MINER_VERSION        // blockchain network : spec-version1.0
         this.nodeName = nodeName
-        this.nodeType = nodeType              // ARCHIVE, LOOKUP (just enough for lookups), MINER
+        this.nodeType = nodeType              // ARCHIVE, PRUNED (only recent blocks whole), LOOKUP (just enough for lookups), MINER
         this.startTime = time()
         this.dataPath = dataPath
         this.verbosity = 4 // 0 = none, 1 = major, 2 = more, 3 = all
@@ -52,8 +56,13 @@ export default class Miner {
         // TransactionHandler; Mempool; Wallet; Blockchain; P2P
         // there are interdependencies between classes for services, so order specific
 
+        // network parameters (genesis, rewards, difficulty, fees, limits) every node must agree on
+        this.chainSpec = chainSpec
+        // regtest: trivial difficulty, online right away, and blocks only mined on demand (generate)
+        this.regtest = chainSpec.name === 'regtest'
+
         // init transaction management system
-        this.TransactionHandler = new TransactionHandler(this.nodeName)
+        this.TransactionHandler = new TransactionHandler(this.nodeName, this.chainSpec)
 
         // the address wallets, create wallet for miner, reset balances (re-established as blockchain built)
         this.Wallet = new Wallet( walletFile, this.TransactionHandler )
@@ -71,53 +80,61 @@ export default class Miner {
 
         // init blockchain (load or create)
         // blockchain directly uses these classes
-        this.Blockchain = new Blockchain( this.version, this.nodeName, this.dataPath, this.TransactionHandler, this.Mempool, this.Wallet )
+        // (a PRUNED node drops old block bodies, keeping their headers and a ledger snapshot)
+        this.Blockchain = new Blockchain( this.version, this.nodeName, this.dataPath, this.TransactionHandler, this.Mempool, this.Wallet, this.chainSpec,
+                                          this.nodeType === 'PRUNED' ? PRUNE_DEPTH : 0 )
 
         // init our this.P2P module
-        this.P2P = new P2P( this.nodeName, host, port, peers, this.Blockchain, ()=>{return this.Mempool.Queue.length()} )
+        this.P2P = new P2P( this.nodeName, host, port, peers, this.Blockchain, ()=>{return this.Mempool.Queue.length()}, this.regtest ? 0 : undefined, this.nodeType )
         
         debug( 3, 
             `\n\n== MINER ==========================================================`
             +`\n${this.nodeName} / ${this.version} Listening(${host}:${port}) Peers(${peers.join(' ').replaceAll(this.hostname,'').replaceAll('http://localhost','').trim()})`
             +`\nAddress: ${this.Wallet.getUserPublicKey(this.nodeName)}`
             +`\nBlock Height: ${this.Blockchain.height()}`
-            +`\nWaiting some time before mining -> discovering peers...`
+            +( this.regtest ? `\nRegtest: blocks are only mined on request (POST /node/generate)` : `\nWaiting some time before mining -> discovering peers...` )
             // +`\nQueued get staled after ${Math.round(PENDING_TRANSACTION_STALE/6)/10} mins`
             +`\n== LEDGER =========================================================`)
         this.Wallet.balances()
         debug(`\n\n\n`)
 
         // Start mining Worker thread
-        this.MinerWorker = new MinerWorker(this.nodeName, this.dataPath, ()=>{ return this.Blockchain.difficulty } )
+        this.MinerWorker = new MinerWorker(this.nodeName, this.dataPath)
         // this.startMinerWorker()
 
         // Run periodic mining attempt (that offloads task to worker)
-        this.startMining()
+        if( !this.regtest ) this.startMining()
 
     }
 
-    prepareTransactionsForMining(blockIdx){
+    // minerAddress gets the reward/fees (default us); allowEmpty mines even with no pending transactions (regtest)
+    prepareTransactionsForMining(blockIdx, { minerAddress = this.nodeName, allowEmpty = false } = {}){
 
         // gather transactions to mine, use ones staked by us
-        let mineTransactions = this.Mempool.Queue.getMinerSorted({ miner: this.nodeName, maxTransactions: this.Blockchain.BLOCK_MAX_TRANSACTIONS })
+        let mineTransactions = this.Mempool.Queue.getMinerSorted({ miner: this.nodeName, maxTransactions: this.TransactionHandler.BLOCK_MAX_TRANSACTIONS })
+        let rewardTransactions = []
 
         // min limit per block, have a kitkat, take a break!
         const transactionCnt = this.TransactionHandler.checkTransactionCount(mineTransactions,true)
-        if( transactionCnt<1 ) return []
+        if( transactionCnt<1 && !allowEmpty ) return []
 
-        debug(2,`*** MINING START (${this.nodeName}) *** (difficulty: ${this.Blockchain.difficulty}) reward=${this.Blockchain.miningReward} mineTransactions=${mineTransactions.length}` )
+        debug(2,`*** MINING START (${this.nodeName}) *** (difficulty: ${this.Blockchain.difficulty}, bits: ${this.Blockchain.bits.toString(16)}) reward=${this.Blockchain.miningReward} mineTransactions=${mineTransactions.length}` )
         // prepare the mining fee transaction to accompany mineTransaction
         const BASE_TOKEN = this.TransactionHandler.BASE_TOKEN
         for( const t of mineTransactions ){
             if( t.fee === 0 ) continue
-            const transactionData = { src: BASE_TOKEN, dest: this.nodeName, amount: t.fee, token: BASE_TOKEN, type: 'miningFees', source: t.hash }
+            const transactionData = { src: BASE_TOKEN, dest: minerAddress, amount: t.fee, token: BASE_TOKEN, type: 'miningFees', source: t.hash }
             const transaction = this.TransactionHandler.rewardTransaction(transactionData, blockIdx)
             rewardTransactions.push( transaction )
         }
 
-        // block mining reward
+        // proof-of-stake: double-signers we caught forfeit their stake (the evidence goes in the block)
+        for( const transactionData of this.Blockchain.Consensus.slashTransactions(this.Blockchain.chain) )
+            rewardTransactions.push( this.TransactionHandler.rewardTransaction(transactionData, blockIdx) )
+
+        // block mining reward; includes the block index so each reward hash is unique (as BTC coinbase height), even if mined the same second
         if( this.Blockchain.miningReward>0 ) {
-            const transactionData = { src: BASE_TOKEN, dest: this.nodeName, amount: this.Blockchain.miningReward, token: BASE_TOKEN, type: 'miningReward' }
+            const transactionData = { src: BASE_TOKEN, dest: minerAddress, amount: this.Blockchain.miningReward, token: BASE_TOKEN, type: 'miningReward', index: blockIdx }
             const transaction = this.TransactionHandler.rewardTransaction(transactionData, blockIdx)
             rewardTransactions.push( transaction )
         }
@@ -138,15 +155,26 @@ export default class Miner {
         this.Blockchain.calcMiningReward({ index: blockIdx })
 
         try {
-            const transactions = this.prepareTransactionsForMining( blockIdx )
+            // some engines only let certain nodes seal a given block (ex. proof-of-authority rotation, proof-of-stake selection)
+            const consensus = this.Blockchain.Consensus
+            if( !consensus.canSeal(blockIdx, this.Blockchain.chain) ) throw errorWithData( `Not our turn to seal block #${blockIdx} (${consensus.name}).` )
+
+            const transactions = this.prepareTransactionsForMining( blockIdx, { allowEmpty: consensus.emptyBlocks } )
             if( transactions.length<1 ) return
             
             // Construct the block with the above transactions that we'll ATTEMPT to mine
             // transaction as "n/unconfirmed" until the transaction is 6 blocks deep
             const blockData = this.Blockchain.prepareBlockData(transactions)
 
-            // offload to worker thread to solve (keeps system responsive, could allow pool of workers)
-            const mineResult = await this.MinerWorker.mineBlock( blockData )
+            // proof-of-work: offload to worker thread to solve (keeps system responsive, could allow pool of workers)
+            // others (ex. signing) are quick, so seal right here
+            let mineResult
+            if( consensus.sealInWorker ){
+                mineResult = await this.MinerWorker.mineBlock( blockData )
+            } else {
+                const block = new Block( blockData, { forceOverwrite: true, nodeName: this.nodeName, dataPath: this.dataPath } )
+                mineResult = consensus.sealBlock( block, { chain: this.Blockchain.chain } ) ? { action: 'DONE_SOLVED', blockData: block.getData(), elapsed: 0 } : { action: 'DONE_UNSOLVED' }
+            }
         
             if( mineResult.action === 'DONE_SOLVED'  ) {
                 // Worker thread should have solved, now 'this.workerBlock' has a full solution nonce
@@ -173,4 +201,35 @@ export default class Miner {
         // waits a while after completing, and then looks for transactions and tries to mine them again
         setTimeout( ()=>{ this.startMining() }, MINING_TRY_INTERVAL * 1000 )
     }
+
+    // regtest only: mine count blocks right now from the current mempool (even if below the block minimum),
+    // solving the (trivial) proof-of-work here rather than waiting on the worker/mining timer
+    generate( count = 1, minerAddress = this.nodeName ){
+        if( !this.regtest )
+            throw errorWithData( `Block generation is only available on regtest (this node runs ${this.chainSpec.name}).` )
+        if( !Number.isInteger(count) || count < 1 || count > GENERATE_MAX )
+            throw errorWithData( `Block count (${count}) must be a whole number from 1 to ${GENERATE_MAX}.`, { count } )
+
+        // reward goes to this address; block minerName must match it for the reward to be valid
+        minerAddress = this.Wallet.buildNameWithPublicKey(minerAddress)
+        const minerName = this.Wallet.getNameOnly(minerAddress)
+
+        const hashes = []
+        for( let i = 0; i < count; i++ ){
+            const blockIdx = this.Blockchain.height()
+            this.Blockchain.calcMiningReward({ index: blockIdx })
+
+            const transactions = this.prepareTransactionsForMining( blockIdx, { minerAddress, allowEmpty: true } )
+            const blockData = this.Blockchain.prepareBlockData( transactions, { minerName } )
+            const block = new Block( blockData, { forceOverwrite: true, nodeName: this.nodeName, dataPath: this.dataPath } )
+            if( !this.Blockchain.Consensus.sealBlock( block, { chain: this.Blockchain.chain } ) )
+                throw errorWithData( `Block #${blockIdx} could not be sealed by ${this.nodeName} (not its turn, or not a producer on this chain); generated ${hashes.length} of ${count}.`, { hashes } )
+
+            this.Blockchain.addBlock( block.getData() )
+            this.P2P.broadcastBlock( block.getData() )
+            hashes.push( block.hash )
+        }
+        debug('green', `GENERATED ${hashes.length} block(s) for ${minerName}, height now ${this.Blockchain.height()}` )
+        return { height: this.Blockchain.height(), hashes }
+    }
 }
@@ -5,16 +5,16 @@
  * 
  * MIT License
  * 
- * This is simply the mining thread. It is passed a block and difficulty level
- * and grinds away calculating hashes with incremental nonces till we get a
- * match level. It then posts back the nonce it found.
+ * This is simply the mining thread. It is passed a block (carrying its target bits)
+ * and grinds away calculating hashes with incremental nonces till we get one
+ * below the target (ConsensusPoW.sealBlock). It then posts back the nonce it found.
  * 
  * It can be used in a mining pool method with multiple instances each doing 
  * different ranges of nonces
  * 
  * Incoming actions: 
  * ABORT: stops mining (if mining)
- * MINE: takes the {difficulty, block} and finds working nonce
+ * MINE: takes the {block} and finds working nonce for its target bits
  * 
  * Outgoing communication
  * UPDATE: pings parent with occasional updates while mining
@@ -27,18 +27,18 @@ import path from 'path'
 
 import { time, wait, debug, errorWithData } from './helper.js'
 import Block from './Block.js'
+import ConsensusPoW from './ConsensusPoW.js'
 
 // from .env
 const MINING_TIMEOUT = process.env.MINING_TIMEOUT                 // if mining hanging, reset to READY after this time
 const MINING_PAUSE_TIMEOUT = process.env.MINING_PAUSE_TIMEOUT     // if paused kill it after 120s
 
 export default class MinerWorker {
-    constructor( nodeName, dataPath, fnBlockchainDifficulty ) {
+    constructor( nodeName, dataPath ) {
         this.nodeName = nodeName
         this.dataPath = dataPath
         this.status = 'IDLE'
         this.elapsed = 0
-        this.fnBlockchainDifficulty = fnBlockchainDifficulty
         
         // creating Worker-thread instance
         this.node = new Worker(path.resolve('./lib', 'MinerWorker.js'))
@@ -50,7 +50,7 @@ export default class MinerWorker {
     async mineBlock( blockData ) {
         return new Promise((resolve,reject) => {
             this.status = 'MINING'
-            this.node.postMessage({action: 'MINE', blockData, nodeName: this.nodeName, dataPath: this.dataPath, difficulty: this.fnBlockchainDifficulty() })
+            this.node.postMessage({action: 'MINE', blockData, nodeName: this.nodeName, dataPath: this.dataPath })
 
             // listen to incoming messages from miner
             this.node.on('message', ({ action, ...result }) => {
@@ -142,13 +142,14 @@ if( !isMainThread && parentPort ){
                 if( MinerWorker.mineTimeout ) clearTimeout( MinerWorker.mineTimeout )
                 MinerWorker.mineTimeout = setTimeout( ()=>{ parentPort.postMessage({ action: 'DONE_TIMEOUT' }) }, MINING_TIMEOUT )
 
-                const { blockData: minableBlock, nodeName, dataPath, difficulty, nonceStart, nonceIterations }= data
+                const { blockData: minableBlock, nodeName, dataPath, nonceStart, nonceIterations }= data
                 // create a temp block to run mine method on - forceOverwrite to prevent it trying to read real-block data
                 const block = new Block(minableBlock, { forceOverwrite: true, nodeName, dataPath }) 
+                const consensus = new ConsensusPoW()
                 const iterationAttempts = 1000000
                 let nonceValidHash = false
                 for( const nonce = nonceStart || 0; nonce < Number.MAX_SAFE_INTEGER; nonce += iterationAttempts ) {
-                    nonceValidHash = block.mine(difficulty, nonce, iterationAttempts)
+                    nonceValidHash = consensus.sealBlock(block, { nonce, iterations: iterationAttempts })
                     if( nonceValidHash || !MinerWorker.mining ) break
                     // loop if paused
                     do { 
@@ -0,0 +1,93 @@
+/**************************************************************************
+ * Orphan Block Pool
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Blocks can arrive before their parent (ex. announced while we're still
+ * syncing, or peers racing each other). Rather than dropping them, they are
+ * held here keyed by the parent hash (prevHash) they are waiting on; once
+ * that parent is added the Blockchain takes them out and connects them.
+ *
+ * The pool is bounded (oldest dropped first) and entries expire, as a parent
+ * that never shows up means the orphan is useless to us.
+ * ***********************************************************************/
+
+import { time, debug } from './helper.js'
+
+// from .env
+const ORPHAN_POOL_MAX = Number(process.env.ORPHAN_POOL_MAX || 100)      // max orphan blocks held
+const ORPHAN_EXPIRY = Number(process.env.ORPHAN_EXPIRY || 600)          // seconds before an orphan is dropped
+const EXPIRY_CHECK = 60
+
+export default class OrphanPool {
+    constructor(){
+        // { prevHash: [ { blockData, received } ] }
+        this.orphans = {}
+        this.hashes = {} // hash -> prevHash, for quick lookups
+
+        // every minute drop orphans whose parent never showed up
+        setInterval(() => { this.purgeExpired( time()-ORPHAN_EXPIRY ) }, EXPIRY_CHECK * 1000).unref() // (housekeeping only, needn't keep the process up)
+    }
+
+    has( hash ){
+        return this.hashes[hash] !== undefined
+    }
+
+    size(){
+        return Object.keys(this.hashes).length
+    }
+
+    add( blockData ){
+        const { hash, prevHash } = blockData
+        if( !hash || !prevHash || this.has(hash) ) return false
+
+        // full, make room by dropping the oldest
+        if( this.size() >= ORPHAN_POOL_MAX ){
+            const oldest = this.list().sort( (a, b) => a.received - b.received )[0]
+            this.delete( oldest.hash )
+        }
+
+        if( !this.orphans[prevHash] ) this.orphans[prevHash] = []
+        this.orphans[prevHash].push({ blockData, received: time() })
+        this.hashes[hash] = prevHash
+        debug( 2, `<cyan>~ holding orphan block #${blockData.index} (${hash}), waiting on parent ${prevHash}</>`)
+        return true
+    }
+
+    // remove + return the orphans waiting on this parent
+    take( prevHash ){
+        const entries = this.orphans[prevHash] || []
+        for( const { blockData } of entries )
+            delete this.hashes[blockData.hash]
+        delete this.orphans[prevHash]
+        return entries.map( e => e.blockData )
+    }
+
+    delete( hash ){
+        const prevHash = this.hashes[hash]
+        if( prevHash === undefined ) return
+
+        this.orphans[prevHash] = this.orphans[prevHash].filter( e => e.blockData.hash !== hash )
+        if( this.orphans[prevHash].length === 0 ) delete this.orphans[prevHash]
+        delete this.hashes[hash]
+    }
+
+    purgeExpired( expireBefore ){
+        const expired = this.list().filter( o => o.received < expireBefore )
+        for( const { hash } of expired )
+            this.delete( hash )
+        if( expired.length > 0 )
+            debug( 2, `<cyan>~ dropped ${expired.length} expired orphan blocks</>`)
+    }
+
+    // summary for reporting (not the full block data)
+    list(){
+        const result = []
+        for( const prevHash of Object.keys(this.orphans) )
+            for( const { blockData, received } of this.orphans[prevHash] )
+                result.push({ index: blockData.index, hash: blockData.hash, prevHash, minerName: blockData.minerName, received })
+        return result
+    }
+}
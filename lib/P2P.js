@@ -10,24 +10,31 @@
  * logic is handled via callbacks.
  * ***********************************************************************/
 
-import { urlCall, time, debug, formatURL } from './helper.js'
+import { urlCall, time, debug, formatURL, setNetworkTimeOffset, getNetworkTimeOffset } from './helper.js'
+
+import BlockDownloader from './BlockDownloader.js'
 
 // from .env
 const NODE_TIMESTAMP_TOLERANCE = process.env.NODE_TIMESTAMP_TOLERANCE   // how much can a node be different than our time before ignoring it
 const HEARTBEAT_INTERVAL = process.env.HEARTBEAT_INTERVAL               // how often to announce heartbeat, check blockchain height
 const ONLINE_DELAY = process.env.ONLINE_DELAY                           // wait 70s before mining
+const SNAPSHOT_SYNC = process.env.SNAPSHOT_SYNC === 'true'              // new node: start from a peer's ledger snapshot, not genesis
+const MAX_TIME_ADJUSTMENT = 4200    // never shift our clock by more than 70 mins based on peers (as BTC)
 
 export default class P2P {
-    constructor( nodeName, host, port, peers, Blockchain, fnQueueLength ) {
+    constructor( nodeName, host, port, peers, Blockchain, fnQueueLength, onlineDelay = ONLINE_DELAY, nodeType = 'MINER' ) {
         this.nodeName = nodeName
+        this.type = nodeType // ARCHIVE, PRUNED, LOOKUP, MINER; announced to peers
         this.hostname = formatURL(`${host}:${port}`)
         this.peers = {}
         this.heartbeatCnt = 0
         this.nodeState = 'PREPARING' 
+        this.snapshotSync = SNAPSHOT_SYNC
 
         // classes
         this.Blockchain = Blockchain
         this.fnQueueLength = fnQueueLength
+        this.Downloader = new BlockDownloader(this)
         // add hardcoded known peers, including self
         peers.push(this.hostname)
         this.addPeers(peers)
@@ -37,7 +44,7 @@ export default class P2P {
         setInterval(() => { this.heartbeat() }, HEARTBEAT_INTERVAL * 1000)
 
         // online come online after it's had time to update chain, discover peers, etc
-        setTimeout( ()=>{ this.nodeState = 'ONLINE' }, ONLINE_DELAY * 1000 )
+        setTimeout( ()=>{ this.nodeState = 'ONLINE' }, onlineDelay * 1000 )
 
     }
 
@@ -84,11 +91,18 @@ export default class P2P {
             if( this.getNodeState() === 'ONLINE' ){
                 // online so let's check our blockchain length matches others
                 this.setNodeState('SYNC_CHAIN')
-                const { hostname, height }= this.findPeerMostBlocks()
-                if( height && height > 0 ){
-                    await this.syncPeerBlocks( hostname )
+                try {
+                    const { hostname, chainWork }= this.findPeerMostWork()
+                    if( chainWork ){
+                        const syncResult = await this.syncPeerBlocks( hostname )
+                        if( syncResult.error ) debug('dim', `   ~ sync with ${hostname}: ${syncResult.error}` )
+                    }
+                } catch( e ){
+                    // (called from a timer: nothing above us to catch it)
+                    debug('red', `   ! sync failed: ${e.message}` )
+                } finally {
+                    this.setNodeState('ONLINE')
                 }
-                this.setNodeState('ONLINE')
             }
         }
     }
@@ -107,6 +121,10 @@ export default class P2P {
             peers: Object.keys(this.peers), // only pass on hostname
             pendingTransactionsCnt: this.fnQueueLength(),
             blockchainHeight: this.Blockchain.height(),
+            chainWork: this.Blockchain.getChainWork(),
+            prunedTo: this.Blockchain.prunedTo, // we only have whole blocks from here (0: all of them)
+            network: this.Blockchain.chainSpec.name,
+            networkId: this.Blockchain.chainSpec.networkId,
             blockAtHeight: {}
         }
 
@@ -161,12 +179,19 @@ export default class P2P {
                 return response
             }
 
+            // peers running a different chain-spec are on another network, don't sync/peer with them
+            if (path.includes('node/announce') && response.networkId !== this.Blockchain.chainSpec.networkId)
+                return { ...response, error: `Peer on a different network (${response.network || '?'}/${response.networkId}), ignoring!` }
+
             // only deal with servers that are within 30 minutes of us
             if (Math.abs(response.timestamp - time()) > NODE_TIMESTAMP_TOLERANCE)
                 return { ...response, error: 'Peers time unavailable of way off, ignoring!' }
 
+            // how far their clock is from ours, for network-adjusted time
+            if (response.timestamp) this.peers[host].timeOffset = response.timestamp - time()
+
             // in our peers object, track some stuff from the responding peer
-            for (const key of ['nodeName', 'version', 'nodeState', 'type', 'startTime', 'timestamp', 'pendingTransactionsCnt', 'blockchainHeight'])
+            for (const key of ['nodeName', 'version', 'nodeState', 'type', 'startTime', 'timestamp', 'pendingTransactionsCnt', 'blockchainHeight', 'chainWork', 'prunedTo'])
                 if (response[key]) this.peers[host][key] = response[key]
 
             // if they have peers, let's add them & announce ourselves
@@ -179,9 +204,30 @@ export default class P2P {
             return response
         })
         const result = (await Promise.all(requests)).filter(res => res !== null)
+        this.updateNetworkTime()
         return { error: false, result }
     }
 
+    // network-adjusted time: the median clock offset of our responding peers (and us, at 0), so a single
+    // peer with a skewed clock can't shift it; used when checking block timestamps aren't in the future
+    updateNetworkTime() {
+        const offsets = Object.values(this.peers)
+            .filter(peer => peer.hostname !== this.hostname && peer.timeOffset !== undefined && !peer.pingError)
+            .map(peer => peer.timeOffset)
+        if (offsets.length < 1) return
+
+        offsets.push(0)
+        offsets.sort((a, b) => a - b)
+        let offset = offsets[Math.floor(offsets.length / 2)]
+        if (Math.abs(offset) > MAX_TIME_ADJUSTMENT) {
+            debug('red', `  ! peers' clocks are ${offset}s off from ours, not adjusting; please check our clock is correct!`)
+            offset = 0
+        }
+        if (offset !== getNetworkTimeOffset())
+            debug('dim', `  ~ network-adjusted time offset now ${offset}s (from ${offsets.length - 1} peers)`)
+        setNetworkTimeOffset(offset)
+    }
+
     // Get peer information for blockchain sync decisions
     getPeersData() {
         return Object.values(this.peers)
@@ -209,75 +255,107 @@ export default class P2P {
         return this.broadcastPeers({ path: 'transaction/announce', data: transaction })
     }
 
-    // scan through peers and see if we should ask for blocks from anyone
-    findPeerMostBlocks(){
+    // scan through peers and see if we should ask for blocks from anyone: we follow the chain with the most work
+    findPeerMostWork(){
         const peers = this.getPeersData()
-        const myHeight = this.Blockchain.height()
+        const myWork = BigInt(this.Blockchain.getChainWork())
         const latestBlock = this.Blockchain.getBlock()
 
         if( peers.length<1 )
             return { error: `No nodes to connect with. Aborting.`}
 
         // fill OUR details in peers structure for comparison
-        this.peers[this.hostname].blockchainHeight = myHeight
+        this.peers[this.hostname].blockchainHeight = this.Blockchain.height()
+        this.peers[this.hostname].chainWork = myWork.toString()
         this.peers[this.hostname].blockAtHeight = latestBlock
 
-        // PICK peer with LONGEST CHAIN; if same as us, one with OLDEST timestamp
-        let selNode = peers.reduce((sel, item) => item.blockchainHeight >= sel.blockchainHeight ? item : sel)
-        if( selNode.blockchainHeight === myHeight && selNode.blockAtHeight.index === latestBlock.index ) 
-            selNode = peers.reduce((sel, item) => item.blockchainHeight === sel.blockchainHeight && 
-                                                  item.blockAtHeight.timestamp < sel.blockAtHeight.timestamp ? item : sel)
+        // PICK peer with MOST WORK (by the consensus engine); on a tie we stay with ours (first-received chain), so only strictly heavier counts
+        const selNode = this.Blockchain.Consensus.chooseChain( myWork, peers.filter( peer => peer.hostname !== this.hostname ) )
 
-        if( !selNode?.nodeName || selNode.blockchainHeight < myHeight || selNode.blockAtHeight.index < latestBlock.index || 
-            (selNode.blockchainHeight === myHeight && selNode.blockAtHeight.timestamp >= latestBlock.timestamp ) ){
-            // there is no node with longer chain or same-height & older timestamp or there's a problem with selNode so don't proceed
+        if( !selNode?.nodeName ){
+            // there is no node with a heavier chain or there's a problem with selNode so don't proceed
             return { error: false }
         }
 
-        // A BETTER chain exists - let's find from whence we shall sync and redo ours.
-        debug( 'bold', ` x US (${this.nodeName}) vs THEM (${selNode.nodeName}): blocks(${this.Blockchain.height()} vs ${selNode.blockchainHeight}) timestamp(${latestBlock.timestamp} vs ${selNode.blockAtHeight?.timestamp || 'n/a'}) (ours: #${latestBlock.index}/${latestBlock.timestamp}, theirs: #${selNode.blockAtHeight?.index || 'n/a'}/${selNode.blockAtHeight?.timestamp || 'n/a'}, finding last common node, and overwriting rest` )
+        // A HEAVIER chain exists - let's find from whence we shall sync.
+        debug( 'bold', ` x US (${this.nodeName}) vs THEM (${selNode.nodeName}): work(${myWork} vs ${selNode.chainWork}) blocks(${this.Blockchain.height()} vs ${selNode.blockchainHeight}) (ours: #${latestBlock.index}/${latestBlock.timestamp}, theirs: #${selNode.blockAtHeight?.index || 'n/a'}/${selNode.blockAtHeight?.timestamp || 'n/a'}), finding last common node` )
 
         // now sync from this one
-        return { error: false, height: selNode.blockchainHeight, hostname: selNode.hostname }
+        return { error: false, height: selNode.blockchainHeight, chainWork: selNode.chainWork, hostname: selNode.hostname }
     }
 
+    // headers-first (as BTC): find where our chains fork with a block locator, check their header chain (links,
+    // proof-of-work, checkpoints) and its work, and only then download the blocks (from all healthy peers, see BlockDownloader)
     async syncPeerBlocks(hostname){
-        // request last 100 hashes [arbitrary choice] and we'll try to find last matching block
-        const fromIndex = Math.max(0, this.Blockchain.height()-100 )
-        const response = await this.callPeer( hostname, `blocks?fromIndex=${fromIndex}&type=hashes` )
-        if( response.error ) return response
-
-        // now work our back way to find highest matching block
-        const latestBlock = this.Blockchain.getBlock()
-        let index = latestBlock.index
-        for( let i=this.Blockchain.height()-1; i >= fromIndex; i-- ){
-            if( !response.result[i-fromIndex] ) return { error: `Invalid /blocks result: `, result: response.result }
-
-            if( this.Blockchain.getBlock(i).hash === response.result[i-fromIndex].hash ){
-                index = i
-                debug('bold', ` ~ found MATCH @ #${i}, syncing from there.`)
-                break
-            }
+        let foundHashes = []
+        // a new node can skip replaying the chain up to a snapshot (if that fails, we just sync from genesis)
+        if( this.snapshotSync && this.Blockchain.height() === 1 ){
+            const snapshotResult = await this.syncSnapshot( hostname )
+            if( snapshotResult.error ) debug('dim',`   ~ ${snapshotResult.error}; syncing all blocks instead.` )
         }
+        while( true ){
+            const locator = this.Blockchain.getLocator()
+            const response = await this.callPeer( hostname, `headers?locator=${locator.join(',')}` )
+            if( response.error ) return response
+
+            const { forkIndex, headers }= response.result || {}
+            if( !Array.isArray(headers) ) return { error: `Invalid /headers result: `, result: response.result }
+            if( forkIndex < 0 ) return { error: `[${hostname}] shares no blocks with us (different genesis?), not syncing.` }
+            if( headers.length < 1 ) return { foundHashes }
+
+            debug('cyan',` > [${hostname}] chain matches mine to #(${forkIndex}), checking ${headers.length} headers after it ... `)
+            let chainWork
+            try {
+                chainWork = this.Blockchain.validateHeaders( forkIndex, headers )
+            } catch( e ){
+                return { error: `[${hostname}] sent invalid headers: ${e.message}` }
+            }
+            if( !this.Blockchain.Consensus.chooseChain( this.Blockchain.getChainWork(), [{ chainWork }] ) ){
+                debug('dim',`   ~ their headers (to #${headers.at(-1).index}) don't give a heavier chain than ours, not downloading blocks.` )
+                return { foundHashes }
+            }
 
-        debug('cyan',` > [${hostname}] chain matches mine to #(${index}), getting remainder and overwriting ours ... `)
-        let responseBlocks, foundHashes = []
+            // blocks below the last checkpoint are vouched for by it, no need to re-verify their proof-of-work
+            const peers = this.syncPeers( hostname, forkIndex )
+            if( forkIndex === this.Blockchain.height() - 1 ){
+                // they simply extend our chain: add each batch as it comes in
+                const downloadResult = await this.Downloader.download( forkIndex, headers, peers, blocks => {
+                    for( const blockData of blocks ){
+                        const addResult = this.Blockchain.addBlock( blockData, { skipPow: true } )
+                        foundHashes = foundHashes.concat( addResult.hashes || [] )
+                    }
+                })
+                debug('dim',`  >>> added ${downloadResult.blockCnt} blocks, now at #${this.Blockchain.height() - 1}` )
+                if( downloadResult.error ) return { error: `Sync stopped: ${downloadResult.error}`, foundHashes }
+                // any orphans that were waiting on our new tip
+                this.Blockchain.adoptOrphans( this.Blockchain.getBlock().hash )
+                // headers come in limited batches, so there may be more
+                continue
+            }
 
-        // since we aren't longest, nodeState should not be ONLINE, as we attempt to sync-up
-        responseBlocks = await this.callPeer( hostname, `blocks?fromIndex=${index+1}` )
-        if( responseBlocks.error ) return responseBlocks
+            // they fork off ours: get all the blocks, then add them as a branch, we only switch over to it (dropping ours
+            // to a side-branch) if it's heavier
+            let newBlocks = []
+            const downloadResult = await this.Downloader.download( forkIndex, headers, peers, blocks => { newBlocks = newBlocks.concat( blocks ) })
+            if( downloadResult.error ) return { error: `Sync stopped: ${downloadResult.error}` }
 
-        // add these new blocks, first write them, then sync transactions
-        const newBlocks = responseBlocks.result
-        if( newBlocks.length>0 ){
             debug('dim',`   + got blocks to add: ` + newBlocks.map( b => b.index ).join(',') )
-            const addResult = this.Blockchain.addChain(newBlocks, { forceOverwrite: true, txUpdate: true })
-            debug('dim',`  >>> added ${addResult.addBlockCnt} blocks containing ${addResult.transactionCnt} transactions; pruned pending transactions (${foundHashes})` )
-            if( addResult.resetLedger ){
-                debug('green', "Note: resetLedger called, so syncing multiple prior blocks...")
+            let addResult
+            try {
+                addResult = this.Blockchain.addBranch(newBlocks, { skipPow: true })
+            } catch( e ){
+                return { error: `[${hostname}] branch blocks rejected: ${e.message}`, foundHashes }
+            }
+            if( addResult.switched )
+                debug('dim',`  >>> switched chain, added ${addResult.addBlockCnt} blocks containing ${addResult.transactionCnt} transactions; pruned pending transactions (${foundHashes})` )
+            else
+                debug('dim',`  >>> kept ${addResult.addBlockCnt} blocks as a side-branch, our chain is not shorter.` )
+            if( addResult.reorg ){
+                const { depth, forkIndex, returnedToMempool, discarded }= addResult.reorg
+                debug('green', `Note: reorg dropped ${depth} of our blocks after #${forkIndex}; ${returnedToMempool.length} transactions back to mempool, ${discarded.length} discarded.`)
             }
+            return { foundHashes }
         }
-        return { foundHashes }
 
         // } catch (e) {
         //     debug('red',`     ! Error with peer: ${e.message} urlCall(blocks?fromIndex=${index+1}) -> response: `, responseBlocks )
@@ -285,4 +363,38 @@ export default class P2P {
         //     return { error: e.message }
         // }
     }
-}
\ No newline at end of file
+
+    // the peer's latest ledger snapshot, and its headers up to enough past the snapshot block for that to be final;
+    // loaded only if it's the state that block committed to (see Blockchain.loadSnapshot)
+    async syncSnapshot( hostname ){
+        const response = await this.callPeer( hostname, 'snapshot' )
+        if( response.error || !response.result ) return { error: `[${hostname}] has no ledger snapshot for us (${response.error || 'none'})` }
+
+        const snapshot = response.result
+        let headers = []
+        while( (headers.at(-1)?.index || 0) < snapshot.index + this.Blockchain.Finality.depth ){
+            const locator = headers.length > 0 ? [ headers.at(-1).hash ] : this.Blockchain.getLocator()
+            const headersResponse = await this.callPeer( hostname, `headers?locator=${locator.join(',')}` )
+            if( headersResponse.error || !headersResponse.result?.headers?.length ) break
+            headers = headers.concat( headersResponse.result.headers )
+        }
+
+        debug('cyan',` > [${hostname}] ledger snapshot at #${snapshot.index}, checking it against ${headers.length} headers ... ` )
+        try {
+            this.Blockchain.loadSnapshot( headers, snapshot )
+        } catch( e ){
+            return { error: `[${hostname}] ledger snapshot #${snapshot.index} not usable: ${e.message}` }
+        }
+        return { error: false }
+    }
+
+    // peers to download blocks from: the one whose headers we're following first, then any others that answer
+    // pings and are past the fork (a peer on another chain is dropped by the downloader once its blocks don't match;
+    // pruned peers are only asked for the blocks they still have, older history comes from archive nodes)
+    syncPeers( hostname, forkIndex ){
+        const others = this.getPeersData()
+            .filter( peer => peer.hostname !== hostname && peer.hostname !== this.hostname && !peer.pingError && peer.blockchainHeight > forkIndex + 1 )
+            .map( peer => peer.hostname )
+        return [ hostname, ...others ]
+    }
+}
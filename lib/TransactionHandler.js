@@ -14,39 +14,35 @@
  */
 
 import Crypto from './Crypto.js'
+import ChainSpec from './ChainSpec.js'
 
 import { fixRounding, time, waitReady, debug, errorWithData } from './helper.js'
 
-// your fee structure
-const FEE_BASE_TRANSACTION = process.env.FEE_BASE_TRANSACTION   // >0 = fixed fee; <0 = percent (ex. -10 = 10%)
-const FEE_TOKEN_CREATE = process.env.FEE_TOKEN_CREATE           // token creation fee
-const FEE_TOKEN_TRANSACTION = process.env.FEE_TOKEN_TRANSACTION // transaction costs
-const FEE_TOKEN_AIRDROP = process.env.FEE_TOKEN_AIRDROP
-const FEE_MAX = process.env.FEE_MAX                             // max to charge for fees ($)
-
-// do not change these - if running node to join active network
-const BLOCKCHAIN_PUBLICKEY = process.env.BLOCKCHAIN_PUBLICKEY
-const BLOCKCHAIN_TXAUTH = process.env.BLOCKCHAIN_TXAUTH
-const MINT_TOKEN = process.env.MINT_TOKEN
-const BASE_TOKEN = process.env.BASE_TOKEN                 // any token *MUST* end with $ as this is system identifier for tokens
-
-// min/max # of user/admin -- ie non-system generated tarnsactions (reward, fees, etc)
-const BLOCK_MIN_TRANSACTIONS = process.env.BLOCK_MIN_TRANSACTIONS
-const BLOCK_MAX_TRANSACTIONS = process.env.BLOCK_MAX_TRANSACTIONS
- 
-
 const TRANSACTION_TYPES_USER = ['minerDeposit','transfer','purchase','tax'] // valid user transaction types
 const TRANSACTION_TYPES_ADMIN = ['tokenCreate','tokenAirdrop'] // create only for new, adjust requires auth signing by creator
-const TRANSACTION_TYPES_SYSTEM = ['miningReward', 'miningFees']
+const TRANSACTION_TYPES_SYSTEM = ['miningReward', 'miningFees', 'stakeSlash'] // stakeSlash: proof-of-stake double-signer forfeits stake (see ConsensusPoS)
 const VALID_TRANSACTION_TYPES = [...TRANSACTION_TYPES_USER, ...TRANSACTION_TYPES_ADMIN, ...TRANSACTION_TYPES_SYSTEM]
 
+// rule changes voted in through version bits (chain-spec versionBits.deployments, see Deployments): deployment name ->
+// check of each transaction in a block, applied once the deployment is ACTIVE at its height (throws to reject the block)
+const DEPLOYMENT_RULES = {
+    // user/admin transactions must move a positive amount (before it, only a missing/zero amount was refused)
+    positiveAmounts: ( transaction, blockIdx ) => {
+        if( !TRANSACTION_TYPES_SYSTEM.includes(transaction.type) && !(Number(String(transaction.amount).split('$').pop()) > 0) )
+            throw errorWithData( `Block #${blockIdx} transaction ${transaction.hash} amount (${transaction.amount}) must be positive (deployment 'positiveAmounts'). Rejecting.`, { blockIdx, hash: transaction.hash } )
+    }
+}
+
 // Miner Class =================================================================================
 export default class TransactionHandler {
-    constructor(nodeName, Mempool, Wallet) {
-        this.MINT_TOKEN = MINT_TOKEN
-        this.BASE_TOKEN = BASE_TOKEN
-        this.BLOCK_MIN_TRANSACTIONS = BLOCK_MIN_TRANSACTIONS
-        this.BLOCK_MAX_TRANSACTIONS = BLOCK_MAX_TRANSACTIONS
+    constructor(nodeName, chainSpec = new ChainSpec(), Mempool, Wallet) {
+        // network-wide rules (tokens, fees, block limits, genesis) come from the chain-spec
+        this.chainSpec = chainSpec
+        this.MINT_TOKEN = chainSpec.tokens.mint
+        this.BASE_TOKEN = chainSpec.tokens.base     // any token *MUST* end with $ as this is system identifier for tokens
+        // min/max # of user/admin -- ie non-system generated tarnsactions (reward, fees, etc)
+        this.BLOCK_MIN_TRANSACTIONS = chainSpec.block.minTransactions
+        this.BLOCK_MAX_TRANSACTIONS = chainSpec.block.maxTransactions
         this.nodeName = nodeName
 
         // classes used
@@ -94,8 +90,8 @@ export default class TransactionHandler {
 
         if( token === this.BASE_TOKEN ){
             // add the admin as we need this for initial signing
-            // hardcoded public-key for BASE_TOKEN issue; coded this way for simplicity. must be consistent across all node installs.
-            const admin = '*root:' + BLOCKCHAIN_PUBLICKEY
+            // public-key for BASE_TOKEN issue comes from the chain-spec genesis, so it's consistent across all node installs.
+            const admin = '*root:' + this.chainSpec.genesis.adminPublicKey
             this.Wallet.update(token, { admin })
 
             // if we are creating the BASE_TOKEN, it's initial setup, so create MINT_TOKEN too
@@ -106,7 +102,7 @@ export default class TransactionHandler {
             transactionData.admin = admin
             // signing was pre-calc'd as miner doesn't have root-chain private key
             // and if we are giving txAuth we must give the hash
-            transactionData.txAuth = BLOCKCHAIN_TXAUTH
+            transactionData.txAuth = this.chainSpec.genesis.txAuth
             transactionData.hash = this.calcHash(transactionData)
         } else {
             // any tokens after base token have an administrator: person who created them.
@@ -119,39 +115,58 @@ export default class TransactionHandler {
         // returning genesis transactions initialized
         return [ transactionData ]
     }
-    
+
+    // the genesis block: base token supply, plus the chain-spec's initial allocations (airdrops from the
+    // base token, pre-signed by the genesis admin as nodes don't have its private key)
+    genesisTransactions(){
+        const { supply, allocations } = this.chainSpec.genesis
+        const transactions = this.tokenCreation(supply)
+
+        allocations.forEach( ({ dest, amount, txAuth }, idx) => {
+            const transactionData = {
+                src: this.BASE_TOKEN, dest, amount, token: this.BASE_TOKEN, fee: 0,
+                type: 'tokenAirdrop', timestamp: 0, seq: idx + 1 }
+            transactionData.txAuth = txAuth
+            transactionData.hash = this.calcHash(transactionData)
+            transactions.push( transactionData )
+        })
+        return transactions
+    }
+
     getFee({ amount, token = '', type, fee: setFee = 0 }){
         // in BTC network: users can offer to pay a higher fee (may prioritize placement in blocks; we don't offer that)
 
         // we will allow token to be passed in the amount oo, ex. sol$100 or else amount=100, token = '_sol$'
         { [amount, token] = this.extractTokenFromAmount(amount, token) }
         debug( 5, `<blue>[getFee]</> amount(${amount}) token(${token}) type(${type}) fee(${setFee})`)
+        // fee structure: >=0 = fixed fee; <0 = percent (ex. -10 = 10%), capped at max ($)
+        const fees = this.chainSpec.fees
         let fee = 0
 
-        if( ['miningReward','miningFees'].includes(type) ) // no 'fees' permitted for system operations
+        if( TRANSACTION_TYPES_SYSTEM.includes(type) ) // no 'fees' permitted for system operations
             return fee
 
         else if( token == this.BASE_TOKEN ) {
             if( type === 'tokenCreate' || type === 'tokenAirdrop' ){
                 fee = 0 // base-token token ops are 0-cost
-            } else if( FEE_BASE_TRANSACTION >= 0 )
-                fee = FEE_BASE_TRANSACTION
+            } else if( fees.baseTransaction >= 0 )
+                fee = fees.baseTransaction
             else
-                fee = amount * -FEE_BASE_TRANSACTION/100 // negative are percents (ex -10 = 10%)
+                fee = amount * -fees.baseTransaction/100 // negative are percents (ex -10 = 10%)
 
         } else {
             if( type === 'tokenCreate' )
-                fee = FEE_TOKEN_CREATE
+                fee = fees.tokenCreate
             else if( type === 'tokenAirdrop' )
-                fee = FEE_TOKEN_AIRDROP    
-            else if( FEE_TOKEN_TRANSACTION >= 0 )
-                fee = FEE_TOKEN_TRANSACTION
+                fee = fees.tokenAirdrop    
+            else if( fees.tokenTransaction >= 0 )
+                fee = fees.tokenTransaction
             else
                 // if percent we base fee on ratio fo tokens sent vs total tokens available? BUGBUG 
-                fee = FEE_TOKEN_TRANSACTION // amount * -FEE_TOKEN_TRANSACTION/100
+                fee = fees.tokenTransaction // amount * -fees.tokenTransaction/100
         }
 
-        if( FEE_MAX > 0 ) fee = Math.min(FEE_MAX, fee)
+        if( fees.max > 0 ) fee = Math.min(fees.max, fee)
         fee = Number( Math.max( 0, fee, setFee ) )
 
         return fixRounding( fee )
@@ -190,13 +205,19 @@ export default class TransactionHandler {
             if( VALID_TRANSACTION_TYPES.includes(t.type) )
                 transactionCnt++
 
-        if( noErrors || (transactionCnt >= BLOCK_MIN_TRANSACTIONS && transactionCnt <= BLOCK_MAX_TRANSACTIONS) )
+        if( noErrors || (transactionCnt >= this.BLOCK_MIN_TRANSACTIONS && transactionCnt <= this.BLOCK_MAX_TRANSACTIONS) )
             return transactionCnt
         else
-            throw errorWithData(`Need min:${BLOCK_MIN_TRANSACTIONS}/max:${BLOCK_MAX_TRANSACTIONS} user transactions per block, found: ${transactionCnt || '-'}. Rejecting.`, 
-            { transactionCnt, min: BLOCK_MIN_TRANSACTIONS, max: BLOCK_MAX_TRANSACTIONS })
+            throw errorWithData(`Need min:${this.BLOCK_MIN_TRANSACTIONS}/max:${this.BLOCK_MAX_TRANSACTIONS} user transactions per block, found: ${transactionCnt || '-'}. Rejecting.`, 
+            { transactionCnt, min: this.BLOCK_MIN_TRANSACTIONS, max: this.BLOCK_MAX_TRANSACTIONS })
     }    
 
+    // system transactions aren't signed nor sequenced (the block audit checks they are legitimately claimed);
+    // all come from the base token, except slashing which takes from the offender
+    isSystemTransaction({ src, type }){
+        return TRANSACTION_TYPES_SYSTEM.includes(type) && (src === this.BASE_TOKEN || type === 'stakeSlash')
+    }
+
     transactionTypeOperations({ src, dest, type, amount, token, admin, ...data }) {
         if( type === 'tokenCreate' ) {
             // make sure teh wallet exists, else throw error
@@ -209,13 +230,20 @@ export default class TransactionHandler {
     }
 
     // check transactions are all signed, and seq ok
-    auditTransactions( blockMiner, blockIdx, transactions, expectedMiningReward ) {
+    // rules from the consensus engine (see Blockchain.auditRules): producer = who had to produce this block (if the engine decides);
+    // slashing = whether stakeSlash transactions are allowed (their evidence is checked by the engine);
+    // deployments = names of the rule changes active at this height (see Deployments), whose DEPLOYMENT_RULES apply
+    // calcStateRoot = false: the wallet state root isn't needed (ex. replaying our own stored blocks, checked at the tip once loaded)
+    auditTransactions( blockMiner, blockIdx, transactions, expectedMiningReward, rules = {}, { calcStateRoot = true } = {} ) {
+        const { producer = false, slashing = false, deployments = [] } = rules
         debug( 2, `<blue>[auditTransactions]</> blockIdx(${blockIdx}) transactions[${transactions.length}]`)
-        let miningReward = 0, miningFees = 0, transactionCnt = 0, adminCnt = 0, transactionError = false
+        let miningReward = 0, miningFees = 0, transactionCnt = 0, adminCnt = 0, transactionError = false, stateRoot = ''
 
         // genesis block we just accept
         if( blockIdx === 0 ) return { transactionCnt: 0, adminCnt: transactions.length, miningFees: 0 }
 
+        this.checkProducer( blockMiner, blockIdx, producer )
+
         // gather all wallets as we're doing a dry run through transactions
         // then snapshot them as we'll be changing the values in them simulating adding
         // all these transactions, making sure we don't run into negative values, etc.
@@ -228,6 +256,9 @@ export default class TransactionHandler {
 
         try {
             for( const transaction of transactions ){
+                // rules voted in, once active
+                for( const name of deployments )
+                    DEPLOYMENT_RULES[name]?.( transaction, blockIdx )
 
                 // check transaction itself (signing, balances) by doing it - problems throws error
                 this.processTransaction(transaction, { blockIdx, manageMempool: false } );
@@ -251,6 +282,11 @@ export default class TransactionHandler {
                     else
                         throw errorWithData( `Block miningFees illegally claimed: miner(${blockMiner}) claimer(${transaction.dest}) for amount(${transaction.amount}). Rejecting.` )
 
+                } else if( transaction.type === 'stakeSlash' ){
+                    // offender's stake goes to the base token pool
+                    if( !slashing || transaction.dest !== this.BASE_TOKEN )
+                        throw errorWithData( `Block stakeSlash not allowed: src(${transaction.src}) dest(${transaction.dest}) for amount(${transaction.amount}). Rejecting.` )
+
                 } else if( transaction.type === 'tokenCreate' ){
                     adminCnt++
                     // mint issue normally only genesis block; unless increasing supply
@@ -269,6 +305,8 @@ export default class TransactionHandler {
                     throw errorWithData( `Block audit failed: hash(${transaction.hash} txAuth(${transaction.txAuth}) type(${transaction.type}) INVALID` )
                 }
             }
+            // the wallets are now as the block leaves them: that's what its header's stateRoot must commit to
+            if( calcStateRoot ) stateRoot = this.Wallet.stateRoot( blockIdx )
         } catch ( e ){
             transactionError = e.message
         } finally {
@@ -282,18 +320,24 @@ export default class TransactionHandler {
         // an object with transaction error will be returned, else simply false
         if( transactionError ) throw errorWithData( transactionError )
         
-        return { transactionCnt, adminCnt, miningFees }
+        return { transactionCnt, adminCnt, miningFees, stateRoot }
 
     }
 
+    // ex. proof-of-stake: only the validator chosen for this block may produce it
+    checkProducer( blockMiner, blockIdx, producer ){
+        if( producer && blockMiner !== producer )
+            throw errorWithData( `Block #${blockIdx} produced by ${blockMiner}, but ${producer} was chosen to produce it. Rejecting.`, { blockIdx, blockMiner, producer } )
+    }
+
     // when chains confliect, we keep our transactions to attempt rechaining later (dropping system ones)
     filter({ transactions, hashes = [], types = [] }) {
         // organize list of transaction types we want to filter by
         let typeList = []
         if( typeof(types) === 'string' ) types = types.split(',').filter(s => s != '')
-        if( types.includes('user') ) typeList.concat( TRANSACTION_TYPES_USER )
-        if( types.includes('admin') ) typeList.concat( TRANSACTION_TYPES_ADMIN )
-        if( types.includes('system') ) typeList.concat( TRANSACTION_TYPES_ADMIN )
+        if( types.includes('user') ) typeList = typeList.concat( TRANSACTION_TYPES_USER )
+        if( types.includes('admin') ) typeList = typeList.concat( TRANSACTION_TYPES_ADMIN )
+        if( types.includes('system') ) typeList = typeList.concat( TRANSACTION_TYPES_SYSTEM )
         if( types.includes('tokenCreate') ) typeList = 'tokenCreate'
 
         let filteredTransactions = []
@@ -303,9 +347,8 @@ export default class TransactionHandler {
             // if hash specified but not this one, we skip over            
             if( hashes.length > 0 && !hashes.includes(transaction.hash) ) continue
 
-            transaction.meta = { miner: this.nodeName, minerReAdded: time() }
-        
-            filteredTransactions.push( transaction )
+            // copy, as these are often still a block's transactions
+            filteredTransactions.push( { ...transaction, meta: { miner: this.nodeName, minerReAdded: time() } } )
         }
         return filteredTransactions
     }
@@ -353,7 +396,7 @@ export default class TransactionHandler {
         //   b) supplied external valid txAuth
         //   c) src wallet with _privateKey_ available
         debug( 3, `<blue>[transactionSign]</> src(${src}) type(${type}) signer(${signer}) txAuth(${txAuth})`)
-        if( src === this.BASE_TOKEN && TRANSACTION_TYPES_SYSTEM.includes(type) ) { //a)
+        if( this.isSystemTransaction({ src, type }) ) { //a)
             // system-level src, signing-exempt
             debug( 4, `   ~ ${src}/${type} -> signing exempt` )
 
@@ -405,13 +448,14 @@ export default class TransactionHandler {
 
         if( reverse ){
             // if it's authorized to reverse we skip all the signing, and amount checking
-            newTransaction = { timestamp: time(), src, dest, amount, token, fee, type: `rollback:${type}`, hash: '', source: hash,  ...data }
+            // keep seq, so the wallet seq can be wound back to before it
+            newTransaction = { timestamp: time(), src, dest, amount, token, fee, seq, type: `rollback:${type}`, hash: '', source: hash,  ...data }
             return newTransaction
         }
         
         // determine SEQ ----------
         const srcWallet = this.Wallet.getUser(src)
-        if( src === this.BASE_TOKEN && TRANSACTION_TYPES_SYSTEM.includes(type) )
+        if( this.isSystemTransaction({ src, type }) )
             seq = 0 // signing-exempt don't use seq
         else if( seq < 1 ) 
             seq = srcWallet.seq.tx + 1 // auto-gen it as it doesn't need signed trans with seq (ex admins)
@@ -474,12 +518,25 @@ export default class TransactionHandler {
             feeWallet = srcWallet
         }
 
+        // mining rewards/fees not yet mature can't be spent, nor can stake (only slashing takes it)
+        const immature = this.Wallet.immatureBalance( srcWallet, token, blockIdx === -1 ? undefined : blockIdx )
+        const staked = type === 'stakeSlash' ? 0 : this.Wallet.stakedBalance( srcWallet, token )
+        srcWallet[token].balance -= immature + staked
+
         // note objects are linked if same person so both 'balances' go down.
         srcWallet[token].balance -= amount
         feeWallet[this.BASE_TOKEN].balance -= fee
         debug( 4, `[checkTokenBalances] srcName(${srcName}) balance after (${amount}): ${srcWallet[token].balance}; and feeWallet after fee (${fee}) ${feeWallet[this.BASE_TOKEN].balance}`)
 
-        if( srcWallet[token].balance < 0 )
+        // short only for what's reserved: say which reservation it's down to (immature first, as that clears by itself)
+        const balance = srcWallet[token].balance, reservedShort = balance < 0 && balance + immature + staked >= 0
+        if( reservedShort && balance + immature >= 0 )
+            throw errorWithData( `${srcName} has ${token}${immature} of immature mining rewards, not spendable till deeper in the chain. Rejecting.`, { src, balance, immature, blockIdx })
+        else if( reservedShort && balance + staked >= 0 )
+            throw errorWithData( `${srcName} has ${token}${staked} locked as stake, not spendable. Rejecting.`, { src, balance, staked, blockIdx })
+        else if( reservedShort )
+            throw errorWithData( `${srcName} has ${token}${immature} of immature mining rewards and ${token}${staked} locked as stake, not spendable. Rejecting.`, { src, balance, immature, staked, blockIdx })
+        else if( srcWallet[token].balance < 0 )
             throw errorWithData( `${srcName} balance(${token}${srcWallet[token].balance}) less than transaction amount(${token}${amount}+fee)=${token}${amount+fee}. Rejecting.`, { src, balance: srcWallet[token].balance, blockIdx })
         else if( feeWallet[this.BASE_TOKEN].balance < 0 )
             throw errorWithData( `Insufficient balance for fees (${this.BASE_TOKEN}${fee} by ${feeWallet.name}.`, { src, blockIdx })
@@ -505,10 +562,15 @@ export default class TransactionHandler {
         debug(5,`~ [walletTxBalanceUpdate] tx.balance + (${token}${amount}) seq(${wallet.seq.tx || 'n/a'})`)
     }
 
-    walletOnChainBalanceUpdate({ wallet, amount, token, seq, reverse = false, blockIdx }) {
+    walletOnChainBalanceUpdate({ wallet, amount, token, seq, reverse = false, blockIdx, immature = false, staked = false }) {
         const tokenOnChain = wallet[token].onChain
         tokenOnChain.amount = amount
         tokenOnChain.balance = fixRounding( Number(tokenOnChain.balance) + Number(amount) )
+        // stake locked (deposit) or released (slashed) along with the balance change
+        if( staked ) tokenOnChain.staked = fixRounding( Number(tokenOnChain.staked || 0) + Number(amount) )
+        // mining rewards/fees can't be spent till they are deep enough
+        if( immature && !reverse ) this.Wallet.addImmature( wallet, token, blockIdx, Number(amount) )
+        if( immature && reverse ) this.Wallet.removeImmature( wallet, token, blockIdx, -Number(amount) )
         if( seq ) wallet.seq.onChain = !reverse ? seq : Math.max( seq-1, 0 )
         if( !reverse ){
             if( !tokenOnChain.historyIdx.includes(blockIdx) ) tokenOnChain.historyIdx.unshift(blockIdx) // prepend block
@@ -524,7 +586,7 @@ export default class TransactionHandler {
     }
 
     walletTransaction({ name, amount, token, seq }, options = {}){
-        const { blockIdx = -1, txUpdate = false, reverse = false }= options
+        const { blockIdx = -1, txUpdate = false, reverse = false, immature = false, staked = false }= options
 
         const wallet = this.Wallet.getUser(name)
 
@@ -533,7 +595,7 @@ export default class TransactionHandler {
 
         // if blockIdx -1: transaction mempool only; else onChain, and if it wasn't mempool'd first, we update mempool tally (txUpdate:true)
         if( blockIdx > -1 ) // block provided, so wallet onChain settings updated
-            this.walletOnChainBalanceUpdate({ wallet, amount, token, seq, reverse, blockIdx })
+            this.walletOnChainBalanceUpdate({ wallet, amount, token, seq, reverse, blockIdx, immature, staked })
         
         if( blockIdx === -1 || txUpdate ) // mempool transaction, OR txUpdate flag set
             this.walletTxBalanceUpdate({ wallet, amount, token, seq, reverse })
@@ -548,7 +610,7 @@ export default class TransactionHandler {
 
     // update the wallet values
     // if a block#, does onChain; if no block# does tx; if block# + txUpdate, does BOTH
-    walletTransactionData({ src, dest, amount, token, fee, seq, blockIdx = -1, txUpdate = false, reverse = false }) {
+    walletTransactionData({ src, dest, amount, token, fee, seq, type = '', blockIdx = -1, txUpdate = false, reverse = false }) {
         // extract token from amount if present, ex. sol$100
         { [amount, token] = this.extractTokenFromAmount(amount, token) }
 
@@ -558,14 +620,20 @@ export default class TransactionHandler {
         amount = fixRounding( amount )
         fee = fixRounding( Number(fee || 0) )
 
+        // reversals are typed 'rollback:<type>'
+        type = type.replace('rollback:','')
+        // proof-of-stake: base token deposits are locked as the receiver's stake, slashing takes it from the offender
+        const stakeDeposit = type === 'minerDeposit' && token === this.BASE_TOKEN && this.chainSpec.consensus.engine === 'pos'
+
         // _src_ user: deduct amount
-        this.walletTransaction({ name: src, token, amount: -amount, seq}, { blockIdx, txUpdate, reverse })
+        this.walletTransaction({ name: src, token, amount: -amount, seq}, { blockIdx, txUpdate, reverse, staked: type === 'stakeSlash' })
         
-        // _dest_ user: add amount
-        this.walletTransaction({ name: dest, token, amount }, { blockIdx, txUpdate, reverse })
+        // _dest_ user: add amount (mining rewards/fees held as immature)
+        const immature = ['miningReward','miningFees'].includes( type )
+        this.walletTransaction({ name: dest, token, amount }, { blockIdx, txUpdate, reverse, immature, staked: stakeDeposit })
         
-        // deduct fee
-        if( Number(fee)>0 ){
+        // deduct fee (negative when reversing)
+        if( Number(fee) !== 0 ){
             // _src_ user: deduct fee
             debug(5,`~ FEE: ${fee} deducted from ${src}`)
             this.walletTransaction({ name: src, token: this.BASE_TOKEN, amount: -fee }, { blockIdx, txUpdate, reverse })
@@ -597,6 +665,10 @@ export default class TransactionHandler {
         { [amount, token] = this.extractTokenFromAmount(amount, token) }
         fee = this.getFee({ amount, token, fee, type })
 
+        // (policy, whether or not the 'positiveAmounts' deployment is active yet: we don't queue what a block may soon not hold)
+        if( blockIdx === -1 && !(amount > 0) )
+            throw errorWithData( `Invalid transaction amount (${amount}), must be positive. Rejecting.` )
+
         let transaction = {src, dest, amount, token, type, fee, seq, txAuth, hash, ...data}
 
         // there are only 2 states:
@@ -793,20 +865,23 @@ export default class TransactionHandler {
         const options = { blockIdx: index, txUpdate: true, reverse: true }
         const transactionData = {src, dest, amount, token, fee, seq, hash, ...data}
         const transaction = this.addSeqAndSign(transactionData, options)
-        this.checkTokenBalances(transaction,{ blockIdx })
 
         // reverse wallet balances - if txUpdate true it will do wallet tx at same time as onChain
         this.walletTransactionData({ ...transaction, ...options })
 
+        // no longer on a block, forget its hash so it can be queued/mined again
+        if( index > -1 ) this.Mempool.Hashes.delete( hash )
+
         return transaction
     }
 
+    // undo a block's transactions, last one first (so each user's seq winds back in order)
     reverseBatch( transactions ){
         let deleted = 0
 
-        transactions.forEach( t => {
-            // we do blockchain.transactionReverse as we do not want to remove from pending, will try again, new block#!
-            this.reverse(t)
+        transactions.slice().reverse().forEach( t => {
+            const { error } = this.reverse(t)
+            if( error ) throw errorWithData( `Unable to reverse transaction (${t.hash}): ${error}`, { hash: t.hash } )
             deleted++
         })
         return { error: false, deleted }
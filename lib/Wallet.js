@@ -12,13 +12,12 @@
 
 import fs from 'fs'
 import path from 'path'
-import { time, debug, errorWithData } from './helper.js'
+import { fixRounding, time, writeFileAtomic, debug, errorWithData } from './helper.js'
 
 import Crypto from './Crypto.js'
 
 // from .env
 const BLOCKCHAIN_PRIVATEKEY = process.env.BLOCKCHAIN_PRIVATEKEY
-const BLOCKCHAIN_PUBLICKEY = process.env.BLOCKCHAIN_PUBLICKEY
 
 export default class Wallet {
     constructor( walletFile, TransactionHandler ) {
@@ -26,6 +25,8 @@ export default class Wallet {
         this.snapshots = {}
         this.maxBlockIdx = 0 // used by walletBalances(), mainly debug output
         this.debugOutputLevel = 1
+        this.writesHeld = 0 // while a block is applied, the file is written once at the end (see holdWrites)
+        this.unwritten = false
 
         // classes used
         this.TransactionHandler = TransactionHandler
@@ -105,8 +106,8 @@ export default class Wallet {
         } else if( publicKey.length !== 45 ) 
             throw errorWithData( `Public Key (${publicKey}) length (${publicKey.length}) for ${name} wrong.` )
 
-        if( Crypto.keyChecksum(publicKey) !== publicKey.slice(-1) ){ // last digit is the checksum digit
-            throw errorWithData( `Public Key for ${name} INVALID checksum, typo?` )
+        if( Crypto.keyChecksum(publicKey, this.TransactionHandler.chainSpec.addressPrefix) !== publicKey.slice(-1) ){ // last digit is the checksum digit
+            throw errorWithData( `Public Key for ${name} INVALID checksum, typo (or from another network)?` )
         }
 
         return publicKey
@@ -178,7 +179,7 @@ export default class Wallet {
             // wallet doesn't exist, generate it
             debug( 4,`<dim>- No existing publicKey or privateKey for (${name}); creating public/privateKeys</>`)
             let { publicKey, privateKey }= Crypto.genKeyPair()
-            publicKey += Crypto.keyChecksum(publicKey)  // append a checksum character
+            publicKey += Crypto.keyChecksum(publicKey, this.TransactionHandler.chainSpec.addressPrefix)  // append a checksum character
             wallet = this.getUserOrCreate(name+':'+publicKey)   // now auto-generate wallet with publicKey
             this.update(name, { privateKey })           // save the private key!
         }
@@ -202,18 +203,40 @@ export default class Wallet {
         }
 
         // update wallet file
-        fs.writeFileSync(this.walletFile, JSON.stringify(this.addresses))
+        this.write()
 
         return wallet
     }
 
+    // the whole wallet file, atomically (a crash leaves the old or the new one, never an empty or cut-off file)
+    write() {
+        if( this.writesHeld > 0 ){
+            this.unwritten = true
+            return
+        }
+        writeFileAtomic(this.walletFile, JSON.stringify(this.addresses))
+        this.unwritten = false
+    }
+
+    // hold off writing the file (ex. for each transaction of a block), till releaseWrites() writes it once
+    // (holds nest: written once the outermost is released)
+    holdWrites() {
+        this.writesHeld++
+    }
+
+    releaseWrites() {
+        this.writesHeld = Math.max( 0, this.writesHeld - 1 )
+        if( this.writesHeld < 1 && this.unwritten ) this.write()
+    }
+
     
     userSnapshots( names ){
         let snapCnt = 0
         for( const name of names ){
             const publicKey = this.getUserPublicKey(name)
 
-            this.snapshots[publicKey] = JSON.stringify(this.addresses[publicKey] || {})
+            // (none yet: it's removed again on restore, so a later real transaction creates it whole, with its name)
+            this.snapshots[publicKey] = this.addresses[publicKey] ? JSON.stringify(this.addresses[publicKey]) : false
             snapCnt++
         }
         return { snapCnt }
@@ -224,13 +247,99 @@ export default class Wallet {
         for( const name of names ){
             const publicKey = this.getUserPublicKey(name)
 
-            this.addresses[publicKey] = JSON.parse(this.snapshots[publicKey])
+            if( this.snapshots[publicKey] )
+                this.addresses[publicKey] = JSON.parse(this.snapshots[publicKey])
+            else
+                delete this.addresses[publicKey]
             delete this.snapshots[publicKey]
             restoreCnt++
         }
         return { restoreCnt }
     }
 
+    // the on-chain ledger (token balances, seq) of every wallet, no keys; pending (tx) amounts are left out,
+    // as the mempool doesn't survive a restart (see Blockchain.prune)
+    ledgerSnapshot() {
+        const snapshot = {}
+        for( const [publicKey, wallet] of Object.entries(this.addresses) ){
+            const ledger = { name: wallet.name, publicKey, seq: { tx: wallet.seq?.onChain || 0, onChain: wallet.seq?.onChain || 0 } }
+            if( wallet.admin ) ledger.admin = wallet.admin
+            for( const token of this.listTokens(wallet) )
+                ledger[token] = { onChain: wallet[token].onChain, tx: { amount: wallet[token].onChain.amount, balance: wallet[token].onChain.balance } }
+            snapshot[publicKey] = ledger
+        }
+        return structuredClone( snapshot )
+    }
+
+    // put a ledgerSnapshot() back (our own wallets keep their keys)
+    ledgerRestore( snapshot ) {
+        for( const [publicKey, ledger] of Object.entries(snapshot) )
+            this.addresses[publicKey] = { ...this.addresses[publicKey], ...structuredClone(ledger) }
+    }
+
+    // the on-chain ledger as of block atIndex in a canonical form every node arrives at (sorted; no keys, pending amounts
+    // or history), for the snapshot state hash (see Blockchain.ledgerState) and the state root; wallets with nothing
+    // on-chain (ex. our own unused ones) are left out, and so are immature rewards already matured by the next block
+    ledgerState( atIndex = this.maxBlockIdx ) {
+        const maturity = this.TransactionHandler.chainSpec.reward.maturity
+        const wallets = []
+        for( const publicKey of Object.keys(this.addresses).sort() ){
+            const wallet = this.addresses[publicKey], tokens = {}
+            for( const token of this.listTokens(wallet).sort() ){
+                const { balance, staked = 0, immature = [] } = wallet[token].onChain
+                const stillImmature = immature.filter( i => atIndex + 1 - i.index < maturity )
+                                              .map( ({ index, amount }) => ({ index, amount }) ).sort( (a, b) => a.index - b.index )
+                if( balance !== 0 || staked > 0 || stillImmature.length > 0 )
+                    tokens[token] = { balance, staked, immature: stillImmature }
+            }
+            const seq = wallet.seq?.onChain || 0
+            if( Object.keys(tokens).length < 1 && seq < 1 ) continue
+            wallets.push({ publicKey, name: wallet.name, seq, admin: wallet.admin || '', tokens })
+        }
+        return wallets
+    }
+
+    // the state root: merkle root over a leaf per wallet in ledgerState (its hash, name left out as that's only
+    // whatever this node first saw used with the publicKey), as the block header commits to it
+    stateLeaves( atIndex = this.maxBlockIdx ) {
+        return this.ledgerState( atIndex ).map( ({ name, ...wallet }) => ({ wallet, hash: Crypto.hash(wallet) }) )
+    }
+
+    stateRoot( atIndex = this.maxBlockIdx ) {
+        const leaves = this.stateLeaves( atIndex )
+        return leaves.length > 0 ? Crypto.merkleBuild( leaves ).pop()[0] : ''
+    }
+
+    // merkle proof of a wallet's on-chain state against the state root of our latest block (as Crypto.merkleProof
+    // does for a transaction): a light client checks hash = Crypto.hash(wallet), then Crypto.merkleVerify(hash, proof, stateRoot)
+    stateProof( name ) {
+        const publicKey = this.getUserPublicKey( name )
+        const leaves = this.stateLeaves()
+        const leaf = leaves.find( leaf => leaf.wallet.publicKey === publicKey )
+        if( !leaf ) return { error: `${name} has nothing on-chain, so isn't in the state.` }
+
+        const { proof, merkleRoot }= Crypto.merkleProof( leaves, leaf.hash )
+        return { wallet: leaf.wallet, hash: leaf.hash, proof, stateRoot: merkleRoot }
+    }
+
+    // put a ledgerState() back (bootstrapping from a snapshot): all balances are reset to it, with no history
+    ledgerStateRestore( wallets ) {
+        this.resetAllTokens()
+        for( const { publicKey, name, seq, admin, tokens } of wallets ){
+            if( !this.addresses[publicKey] ) this.addresses[publicKey] = { created: time(), publicKey, name, seq: null }
+            const wallet = this.addresses[publicKey]
+            if( !wallet[this.TransactionHandler.BASE_TOKEN] ) this.initToken( wallet, this.TransactionHandler.BASE_TOKEN )
+            for( const [token, { balance, staked, immature }] of Object.entries(tokens) ){
+                this.initToken( wallet, token )
+                Object.assign( wallet[token].onChain, { balance, immature: structuredClone(immature) }, staked > 0 ? { staked } : {} )
+                wallet[token].tx.balance = balance
+            }
+            wallet.seq = { tx: seq, onChain: seq }
+            if( admin ) wallet.admin = admin
+        }
+        this.write()
+    }
+
     balances(names = [], compact = false ) {
         const BASE_TOKEN = this.TransactionHandler.BASE_TOKEN
         let addresses = Object.values(this.addresses)
@@ -268,7 +377,14 @@ export default class Wallet {
         }
         // don't pass out privateKey EVER - but all other info from the wallet is ok
         // add in depth
-        return addresses.map( ({ privateKey, ...data }) =>{ return { ...data, depth: data[BASE_TOKEN]?.onChain.historyIdx.length > 0 ? Math.max(0,this.maxBlockIdx - data[BASE_TOKEN].onChain.historyIdx[0]) : 0 } } )
+        // report spendable vs immature (mining rewards not yet deep enough) and staked (proof-of-stake) per token
+        return addresses.map( ({ privateKey, ...data }) =>{ 
+            for( const token of this.listTokens(data) ){
+                const immature = this.immatureBalance(data, token)
+                const staked = this.stakedBalance(data, token)
+                data[token] = { ...data[token], spendable: fixRounding(data[token].onChain.balance - immature - staked), immature, staked }
+            }
+            return { ...data, depth: data[BASE_TOKEN]?.onChain.historyIdx.length > 0 ? Math.max(0,this.maxBlockIdx - data[BASE_TOKEN].onChain.historyIdx[0]) : 0 } } )
     }
 
     // expects privateKey in base58, returns signed in base58
@@ -291,9 +407,10 @@ export default class Wallet {
     // decoding with publicKey
     decode(name, signedData) {
         if( name.startsWith('*root:') ) {
-            if( !BLOCKCHAIN_PUBLICKEY || name !== `*root:${BLOCKCHAIN_PUBLICKEY}` )
-                throw errorWithData( `Unable to decode as *root, publicKey missing/invalid in .env` )
-            return Crypto.decode(BLOCKCHAIN_PUBLICKEY, signedData)
+            const adminPublicKey = this.TransactionHandler.chainSpec.genesis.adminPublicKey
+            if( !adminPublicKey || name !== `*root:${adminPublicKey}` )
+                throw errorWithData( `Unable to decode as *root, publicKey missing/invalid in chain-spec` )
+            return Crypto.decode(adminPublicKey, signedData)
         }
 
         const wallet = this.getUser(name)
@@ -309,6 +426,33 @@ export default class Wallet {
         this.TransactionHandler.syncTxToChain( addresses, minerTokens )        
     }
     
+    // mining rewards/fees credited at these block indexes that are not yet reward.maturity (chain-spec) deep, as of the block atIndex
+    // (default: the next block, ie. what a transaction queued now would be mined into)
+    immatureBalance( wallet, token, atIndex = this.maxBlockIdx + 1 ) {
+        const immature = wallet[token]?.onChain.immature || []
+        const maturity = this.TransactionHandler.chainSpec.reward.maturity
+        return fixRounding( immature.filter( i => atIndex - i.index < maturity ).reduce( (sum, i) => sum + i.amount, 0 ) )
+    }
+
+    addImmature( wallet, token, index, amount ) {
+        const onChain = wallet[token].onChain
+        if( !onChain.immature ) onChain.immature = []
+        onChain.immature.push({ index, amount })
+        // long matured ones are no longer needed (we keep some past maturity, in case a reorg winds back the chain)
+        onChain.immature = onChain.immature.filter( i => this.maxBlockIdx - i.index < this.TransactionHandler.chainSpec.reward.maturity * 2 )
+    }
+
+    removeImmature( wallet, token, index, amount ) {
+        const immature = wallet[token].onChain.immature || []
+        const pos = immature.findIndex( i => i.index === index && i.amount === amount )
+        if( pos > -1 ) immature.splice(pos, 1)
+    }
+
+    // locked as proof-of-stake stake (minerDeposit on a 'pos' chain), see ConsensusPoS
+    stakedBalance( wallet, token ) {
+        return fixRounding( wallet[token]?.onChain.staked || 0 )
+    }
+
     // token functions
     listTokens( wallet ) {
         const tokens = Object.keys(wallet).filter( k => k.endsWith('$') )
@@ -317,7 +461,7 @@ export default class Wallet {
 
     initToken( wallet, token ) {
         const tokenWalletBalanceInfo = {
-            onChain: {amount: 0, balance: 0, historyIdx: []},
+            onChain: {amount: 0, balance: 0, historyIdx: [], immature: []},
             tx: {amount: 0, balance: 0}
         }
         wallet[token] = tokenWalletBalanceInfo
@@ -10,6 +10,8 @@
  * gathered here
  * ***********************************************************************/
 
+import fs from 'fs'
+import path from 'path'
 import https from 'https'
 import http from 'http'
 
@@ -22,6 +24,21 @@ export function time() {
     return Math.round(Date.now()/1000)
 }
 
+// network-adjusted time: our clock corrected by the median offset of our peers' clocks (see P2P.updateNetworkTime)
+let networkTimeOffset = 0
+
+export function setNetworkTimeOffset( offset ) {
+    networkTimeOffset = Math.round(offset)
+}
+
+export function getNetworkTimeOffset() {
+    return networkTimeOffset
+}
+
+export function networkTime() {
+    return time() + networkTimeOffset
+}
+
 export function isJSON(data) {
     return ['[','{'].includes(data.slice(0,1)) && [']','}'].includes(data.slice(-1)) 
 }
@@ -43,6 +60,36 @@ export function waitReady(obj, prop1, prop2, value) {
     })
 }
 
+// write a file so a crash leaves either the old or the new one whole, never part of one: to a temp file,
+// flushed to disk, then renamed over it (a rename is atomic)
+export function writeFileAtomic(filePath, data) {
+    const tmpFile = filePath + '.tmp'
+    const fd = fs.openSync(tmpFile, 'w')
+    try {
+        fs.writeSync(fd, data)
+        fs.fsyncSync(fd)
+    } finally {
+        fs.closeSync(fd)
+    }
+    fs.renameSync(tmpFile, filePath)
+    // and the rename itself to disk (not possible on every platform)
+    try {
+        const dirFd = fs.openSync(path.dirname(filePath), 'r')
+        try { fs.fsyncSync(dirFd) } finally { fs.closeSync(dirFd) }
+    } catch( e ){}
+}
+
+// append to a file, flushed to disk
+export function appendFileSynced(filePath, data) {
+    const fd = fs.openSync(filePath, 'a')
+    try {
+        fs.writeSync(fd, data)
+        fs.fsyncSync(fd)
+    } finally {
+        fs.closeSync(fd)
+    }
+}
+
 export function errorWithData(message, data) {
     const error = new Error()
     error.message = message
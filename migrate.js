@@ -0,0 +1,51 @@
+/**************************************************************************
+ * Block Encoding Migration
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Re-encodes the stored blocks of a node (see lib/BlockStore.js) to another
+ * encoding, ex. to shrink the data folder with 'msgpack+br'. Only how they're
+ * stored changes: each block is checked to hash the same once re-encoded
+ * before it's rewritten. Run it with the node stopped, then set
+ * BLOCK_ENCODING in .env so new blocks are stored the same way.
+ * ***********************************************************************/
+
+import path from 'path'
+import Block from './lib/Block.js'
+import BlockStore from './lib/BlockStore.js'
+import ChainSpec from './lib/ChainSpec.js'
+
+// from .env (the network's own folder, as the node uses)
+let MINER_DATA_PATH
+try {
+    MINER_DATA_PATH = ChainSpec.networkPath('MINER_DATA_PATH')
+} catch( e ){
+    console.log( e.message )
+    process.exit(1)
+}
+
+const [ nodeName, encoding = process.env.BLOCK_ENCODING || 'json' ] = process.argv.slice(2)
+if( !nodeName ){
+    console.log( `- ./migrate.sh {miner-name} {json|msgpack|json+br|msgpack+br}` )
+    process.exit()
+}
+
+const store = Block.openStore(MINER_DATA_PATH, nodeName)
+store.setEncoding( encoding )
+
+let migrated = 0, skipped = 0
+for( const key of [ ...store.keys(), ...store.keys('branches') ] ){
+    const blockData = store.get(key)
+    // the same block once re-encoded: same hash, same data
+    const reencoded = BlockStore.decode( BlockStore.encode(blockData, encoding) )
+    if( new Block(reencoded, { forceOverwrite: true }).calcHash() !== blockData.hash || JSON.stringify(reencoded) !== JSON.stringify(blockData) ){
+        console.log( `! block ${key} doesn't hash the same re-encoded (or was damaged already), leaving it as is` )
+        skipped++
+        continue
+    }
+    store.put( key, blockData )
+    migrated++
+}
+console.log( `Re-encoded ${migrated} blocks of ${nodeName} (${path.join(MINER_DATA_PATH, nodeName)}) as ${encoding}${skipped > 0 ? `, ${skipped} left as they were` : ''}.` )
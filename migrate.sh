@@ -0,0 +1,3 @@
+#!/bin/bash
+
+node --env-file=.env migrate.js "$@"
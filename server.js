@@ -22,6 +22,7 @@ import uWS from 'uWebSockets.js' // npm install uNetworking/uWebSockets.js#v20.5
 import { handleGET, handlePOST, time, debug } from './lib/helper.js'
 
 import Miner from './lib/Miner.js'
+import ChainSpec from './lib/ChainSpec.js'
 
 // let COMPRESS_BLOCKFILES = false
 /* Bitcoin original paper notes:
@@ -47,15 +48,24 @@ import path from 'path'
 // parameters passed in + defaults
 const [ flags, minerName, morePeers ] = process.argv.slice(2)
 
+// (NETWORK in .env: named network to run, mainnet, testnet, regtest; selects the chain-spec, see ChainSpec)
+const CHAIN_SPEC = new ChainSpec()
+
 const NAME = minerName || process.env.NAME          // name of this miner
 const HOST = process.env.HOST                       // IP host to listen from
-const PORT = process.env.PORT                       // IP port to listen to
+const PORT = process.env.PORT || CHAIN_SPEC.defaultPort  // IP port to listen to
 const PEERS = process.env.PEERS                     // IPs of other trusted nodes
-const MINER_DATA_PATH = process.env.MINER_DATA_PATH // where data is stored
+// where data is stored; other networks are kept in their own sub-folder so they never mix with mainnet data
+let MINER_DATA_PATH
+try {
+    MINER_DATA_PATH = ChainSpec.networkPath('MINER_DATA_PATH')
+} catch( e ){
+    console.log( e.message )
+    process.exit(1)
+}
 
 const MINER_TYPE = process.env.MINER_TYPE
 const MINER_WALLET = process.env.MINER_WALLET
-const BLOCKCHAIN_PUBLICKEY = process.env.BLOCKCHAIN_PUBLICKEY
 
 let peers = PEERS.split(',')
 if( morePeers ) peers = peers.concat( morePeers.includes(',') ? morePeers.split(',') : [ morePeers ] )
@@ -65,7 +75,7 @@ async function server() {
     const walletFile = path.join(MINER_DATA_PATH, NAME, MINER_WALLET)
     try { fs.mkdirSync(path.dirname(walletFile), { recursive: true }) } catch(e) { console.log(`path ${walletFile} exists already.`)}
     debugger
-    const serverMiner = new Miner( NAME, MINER_TYPE, HOST, PORT, peers, MINER_DATA_PATH, walletFile )
+    const serverMiner = new Miner( NAME, MINER_TYPE, HOST, PORT, peers, MINER_DATA_PATH, walletFile, CHAIN_SPEC )
     
     // now run webserver to engage with network
     uWS.App({ /* cert_file_name: cert, key_file_name: key */})
@@ -73,10 +83,33 @@ async function server() {
         debug('dim', `>> [${req.authtoken}]${req.url}`)
         const fromIndex = Number(req.query.fromIndex || 0)
         const type = ['hashes','meta'].includes(req.query.type) ? req.query.type : ''
-        const result = serverMiner.Blockchain.getChain(fromIndex, 100, type)
-        res.end( JSON.stringify({ error: false, result }) )
+        // with how deep each block is, and if it's final (will never be reorganized)
+        const result = serverMiner.Blockchain.getChain(fromIndex, 100, type).map( block => ({ ...block, ...serverMiner.Blockchain.blockStatus(block.index) }) )
+        // pruned node: blocks below prunedTo are headers only (flagged 'pruned'), get those from an archive node
+        res.end( JSON.stringify({ error: false, result, prunedTo: serverMiner.Blockchain.prunedTo }) )
         }, serverMiner.P2P.getNodeState()))
     
+    // headers-first sync: the block headers (no transactions) after the fork point with the caller's block locator
+    .get('/headers', handleGET((res, req) => {
+        debug('dim', `>> [${req.authtoken}]${req.url}`)
+        const locator = (req.query?.locator || '').split(',').filter( hash => hash )
+        const result = serverMiner.Blockchain.getHeaders(locator, Number(req.query?.count) || undefined)
+        res.end( JSON.stringify({ error: false, result }) )
+        }, serverMiner.P2P.getNodeState()))
+
+    // latest ledger snapshot (signed, its state hash committed in the block after it), for new nodes to start from
+    .get('/snapshot', handleGET((res, req) => {
+        debug('dim', `>> [${req.authtoken}]${req.url}`)
+        const result = serverMiner.Blockchain.getSnapshot()
+        res.end( JSON.stringify( result ? { error: false, result } : { error: 'No ledger snapshot available' } ) )
+        }, serverMiner.P2P.getNodeState()))
+
+    .get('/blocks/orphans', handleGET((res, req) => {
+        debug('dim', `>> [${req.authtoken}]${req.url}`)
+        const result = serverMiner.Blockchain.Orphans.list()
+        res.end( JSON.stringify({ error: false, result }) )
+        }, serverMiner.P2P.getNodeState()))
+
     .get('/node/wallets', handleGET((res, req) => {
         debug('dim', `>> [${req.authtoken}]${req.url}:`)
         const addresses = req.query.addresses === 'ALL' ? [] : req.query.addresses.split(',')
@@ -84,21 +117,43 @@ async function server() {
         res.end( JSON.stringify({ error: false, result }) )
         }, serverMiner.P2P.getNodeState()))
 
+    // soft-fork deployments (chain-spec versionBits): state of each for the next block, signalling so far in this window
+    .get('/node/deployments', handleGET((res, req) => {
+        debug('dim', `>> [${req.authtoken}]${req.url}`)
+        const result = serverMiner.Blockchain.Deployments.status(serverMiner.Blockchain.chain)
+        res.end( JSON.stringify({ error: false, result }) )
+        }, serverMiner.P2P.getNodeState()))
+
+    // merkle proof of a wallet's on-chain state (balances, seq) against the stateRoot in our latest block header
+    .get('/node/wallets/proof', handleGET((res, req) => {
+        debug('dim', `>> [${req.authtoken}]${req.url}?${req.getQuery()}`)
+        const proof = serverMiner.Wallet.stateProof(req.query.address)
+        const header = serverMiner.Blockchain.getBlock().getHeader()
+        const { confirmations, final } = serverMiner.Blockchain.blockStatus(header.index)
+        res.end( JSON.stringify( proof.error ? proof : { error: false, result: { ...proof, header, confirmations, final } } ) )
+        }, serverMiner.P2P.getNodeState()))
+
     .get('/transactions/verify', handleGET((res, req) => {
         debug('dim', `>> [${req.authtoken}]${req.url}?${req.getQuery()}`)
 
         let result = []
         for( const hash of req.query.hash.split(',') ){
-            // find in the transaction hash for speed (vs scanning blocks)
-            const index = serverMiner.Mempool.Hashes.findBlockIdx(hash)
-            if( !index ){
+            // find in the chain index for speed (vs scanning blocks)
+            const found = serverMiner.Blockchain.ChainIndex.findTransaction(hash)
+            if( !found ){
                 result.push({ error: `Invalid hash ${hash}`, hash, block: false })
                 continue
             }
 
+            const index = found.index
             const block = serverMiner.Blockchain.getBlock(index)
+            const { confirmations, final } = serverMiner.Blockchain.blockStatus(index)
+            if( block.pruned ){
+                result.push({ error: `Block #${index} is pruned on this node, ask an archive node for the proof`, hash, block: { index, timestamp: block.timestamp }, confirmations, final })
+                continue
+            }
             const { proof, merkleRoot } = serverMiner.TransactionHandler.merkleProof(block.transactions, hash)
-            result.push({ hash, block: { index, timestamp: block.timestamp }, merkleRoot, proof })
+            result.push({ hash, block: { index, timestamp: block.timestamp }, confirmations, final, merkleRoot, proof })
         }
         res.end( JSON.stringify({ error: false, result }) )
         }, serverMiner.P2P.getNodeState()))
@@ -113,21 +168,39 @@ async function server() {
     .get('/transactions', handleGET((res, req) => {
         debug('dim', `>> [${req.authtoken}]${req.url}?${req.getQuery()}`)
 
-        let result = [], error = ''
+        let result = []
         for( const hash of req.query.hash.split(',') ){
-            const index = serverMiner.Mempool.Hashes.findBlockIdx(hash)
-            if( index ){
-                const block = serverMiner.Blockchain.getBlock(index)
-                const transactions = serverMiner.TransactionHandler.filter({ transactions: block.transactions, hashes: [hash] })
-                if( transactions.length === 1 )
-                    result.push( { ...transaction[0], meta: { blockIdx: index } } )
+            const found = serverMiner.Blockchain.ChainIndex.findTransaction(hash)
+            if( found ){
+                // (a pruned block no longer has its transactions)
+                const transaction = serverMiner.Blockchain.getBlock(found.index).transactions[found.position]
+                if( transaction?.hash === hash )
+                    result.push( { ...transaction, meta: { blockIdx: found.index } } )
             }
         }
         res.end( JSON.stringify({ error: false, result }) )
         }, serverMiner.P2P.getNodeState()))
+
+    // a block on our chain by its hash, with how deep it is and if it's final
+    .get('/block/:hash', handleGET((res, req) => {
+        debug('dim', `>> [${req.authtoken}]${req.url}`)
+        const block = serverMiner.Blockchain.getBlockByHash( req.getParameter(0) )
+        if( !block ){
+            res.end( JSON.stringify({ error: `No block with hash ${req.getParameter(0)} on our chain` }) )
+            return
+        }
+        // pruned node: just the header (flagged 'pruned'), as in /blocks
+        const { powTime, ...result } = block
+        if( result.pruned ) delete result.transactions
+        res.end( JSON.stringify({ error: false, result: { ...result, ...serverMiner.Blockchain.blockStatus(block.index) } }) )
+        }, serverMiner.P2P.getNodeState()))
         
     .post('/node/announce', handlePOST(async (info,head) => {
-        debug( 'dim', `>> [${head.authtoken}]${head.url} hostname(${info.hostname.replace('http://localhost:','')}) type(${info.type}) blockchainHeight(${info.blockchainHeight}) pendingTransactions(${info.pendingTransactionsCnt}) peers(${info.peers.join(',').replaceAll('http://localhost:','')})` )
+        debug( 'dim', `>> [${head.authtoken}]${head.url} hostname(${info.hostname.replace('http://localhost:','')}) type(${info.type}) blockchainHeight(${info.blockchainHeight}) chainWork(${info.chainWork}) pendingTransactions(${info.pendingTransactionsCnt}) peers(${info.peers.join(',').replaceAll('http://localhost:','')})` )
+
+        // only peer with nodes running the same chain-spec (network)
+        if( info.networkId !== serverMiner.chainSpec.networkId )
+            return { error: `Different network (${info.network || '?'}/${info.networkId}), we are on ${serverMiner.chainSpec.name}/${serverMiner.chainSpec.networkId}. Rejecting.` }
 
         // include the post contactee, and add to our peer list
         info.peers.push( info.hostname ) 
@@ -145,7 +218,7 @@ async function server() {
         serverMiner.MinerWorker.pauseMining()
 
         // only accept block announcements that chain onto our chain, ignore others.
-        debug( 'cyan', `  ~ processing incoming block #${block.index} (our height()=${Blockchainheight()})` )
+        debug( 'cyan', `  ~ processing incoming block #${block.index} (our height()=${serverMiner.Blockchain.height()})` )
         if( block.index === serverMiner.Blockchain.height() ){
             block.transactions.forEach( t => {
                 // console.log( ` block trans: ${serverMiner.Wallet.getNameOnly(t.src)}/${t.seq}` )
@@ -161,18 +234,11 @@ async function server() {
                     debug( 'dim', ` .. incoming block #${block.index} [${serverMiner.Wallet.getNameOnly(t.src)}/${t.seq} -> ${serverMiner.Wallet.getNameOnly(t.dest)} $${t.amount}] matches a pending we have (good)` )
                 }
             })
-        } else if( block.index > serverMiner.Blockchain.height() ){
-            // bigger so lets' request update from them.
-            debug('dim', ` .. getting peer blocks from ${head.hostname} as they have more than us!`)
-            const syncResult = serverMiner.P2P.syncPeerBlocks(head.hostname)
-            if( syncResult.error ) debug( 'red', syncResult.error )
-        } else {
-            debug( 'red', `    ! addBlockchain will skip block #${block.index}, expecting next block to be ${blockMaxIndex-1}. No problem: we will re-sync chain later.`)
         }
 
-        // only bother trying to add block if next in sequence
+        // add block if next in sequence; a competing block we keep as a side-branch, one whose parent we don't have yet as an orphan
         let addResult = {}
-        if( block.index === serverMiner.Blockchain.height() ){
+        if( block.index === serverMiner.Blockchain.height() && block.prevHash === serverMiner.Blockchain.getBlock().hash ){
             addResult = serverMiner.Blockchain.addBlock(block)
             if( addResult.error ){
                 // adding income block failed, let's finish ours (if paused)
@@ -180,6 +246,22 @@ async function server() {
                 serverMiner.P2P.setNodeState('ONLINE')
                 return addResult
             }
+            // any orphans that were waiting on this block
+            serverMiner.Blockchain.adoptOrphans( block.hash )
+        } else {
+            debug( 'dim', ` .. block #${block.index} does not extend our chain (our height ${serverMiner.Blockchain.height()}), keeping it as a side-branch/orphan.`)
+            addResult = serverMiner.Blockchain.addBranch([ block ])
+            if( !addResult.switched ){
+                const orphan = serverMiner.Blockchain.Orphans.has(block.hash)
+                if( orphan ){
+                    // we are missing its parent, so lets' request update from them.
+                    debug('dim', ` .. getting peer blocks from ${head.hostname}, missing the parent of #${block.index}`)
+                    serverMiner.P2P.syncPeerBlocks(head.hostname).then( syncResult => { if( syncResult?.error ) debug( 'red', syncResult.error ) })
+                }
+                serverMiner.MinerWorker.continueMining()
+                serverMiner.P2P.setNodeState('ONLINE')
+                return { error: false, addBlockCnt: addResult.addBlockCnt, orphan }
+            }
         }
         serverMiner.P2P.setNodeState('ONLINE')
 
@@ -244,6 +326,13 @@ async function server() {
         return { result }
         }, serverMiner.P2P.getNodeState()))
 
+    // regtest only: mine blocks on demand (for integration tests); Miner.generate checks the count
+    .post('/node/generate', handlePOST(async ({ count = 1, minerAddress },head) => {
+        debug( 'cyan', `>> [${head.authtoken}]${head.url} count(${count}) minerAddress(${minerAddress || serverMiner.nodeName})` )
+        const result = serverMiner.generate( Number(count), minerAddress || serverMiner.nodeName )
+        return { result }
+        }, serverMiner.P2P.getNodeState()))
+
     // get fee and auth infoseq #
     .post('/token/auth', handlePOST(async ({action,token,amount,admin,dest},head) => {
         console.log( `[token/auth] action(${action}) amount(${amount}) token(${token}) admin(${admin})`)
@@ -268,7 +357,7 @@ async function server() {
             else if( !adminWallet.admin )
                 return { error: `Unable to airdrop to ${token} as no 'admin' to signoff on airdrop. Rejecting request.` }
 
-            admin = token !== serverMiner.TransactionHandler.BASE_TOKEN ? adminWallet.admin : '*root:' + BLOCKCHAIN_PUBLICKEY
+            admin = token !== serverMiner.TransactionHandler.BASE_TOKEN ? adminWallet.admin : '*root:' + serverMiner.chainSpec.genesis.adminPublicKey
 
             const seq = adminWallet.seq.tx + 1
 
@@ -319,7 +408,7 @@ debugger
     .listen(HOST, PORT, (ws_token) => {
         if (ws_token) {
             // port = uWS.us_socket_local_port(ws_token)
-            debug('green', `Miner running on ${HOST}:${PORT}; Miner discovering peers`)
+            debug('green', `Miner running on ${HOST}:${PORT} (${CHAIN_SPEC.name}); Miner discovering peers`)
         } else {
             debug('red', 'Failed finding available port')
             process.exit(-1)
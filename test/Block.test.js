@@ -0,0 +1,49 @@
+/**************************************************************************
+ * Block Tests
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Compact target bits, block work, and the header-only block hash.
+ * ***********************************************************************/
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { Block, dataPath } from './setup.js'
+import Crypto from '../lib/Crypto.js'
+
+test('bitsToTarget: mantissa shifted by the exponent (as BTC nBits)', () => {
+    assert.equal( Block.bitsToTarget(0x1d00ffff), 0xffffn << 208n )     // BTC genesis target
+    assert.equal( Block.bitsToTarget(0x207fffff), 0x7fffffn << 232n )   // regtest, easiest
+    assert.equal( Block.bitsToTarget(0x03123456), 0x123456n )
+    assert.equal( Block.bitsToTarget(0x02123456), 0x1234n )             // exponent under 3: shifted down
+})
+
+test('targetToBits: inverse of bitsToTarget', () => {
+    for( const bits of [ 0x1d00ffff, 0x207fffff, 0x1f00ffff, 0x1b0404cb, 0x03123456 ] )
+        assert.equal( Block.targetToBits(Block.bitsToTarget(bits)), bits )
+})
+
+test('targetToBits: a mantissa with the sign bit set moves up a byte', () => {
+    assert.equal( Block.targetToBits(0x80n), 0x02008000 )
+    assert.equal( Block.bitsToTarget(0x02008000), 0x80n )
+})
+
+test('calcWork: expected hashes to find a block, 2^256 / (target+1)', () => {
+    assert.equal( Block.calcWork(0x1d00ffff), 0x100010001n )            // BTC genesis block work
+    assert.equal( Block.calcWork(0x207fffff), 2n )
+    assert.ok( Block.calcWork(0x1c00ffff) > Block.calcWork(0x1d00ffff) ) // lower target, more work
+})
+
+test('hash covers the header only, the merkleRoot commits to the transactions', () => {
+    const transactions = [ { hash: Crypto.hash('a') }, { hash: Crypto.hash('b') } ]
+    const blockData = { index: 1, prevHash: 'ff', version: '1:1.4', minerName: 'n0', merkleRoot: Crypto.merkleBuild(transactions).pop()[0], transactions }
+    const block = new Block( blockData, { forceOverwrite: true, nodeName: 'b0', dataPath } )
+    const swapped = new Block( { ...blockData, transactions: [ { hash: Crypto.hash('c') } ] }, { forceOverwrite: true, nodeName: 'b0', dataPath } )
+    assert.equal( block.hash, swapped.hash )
+    assert.equal( block.isMerkleValid(), true )
+    assert.equal( swapped.isMerkleValid(), false )
+    assert.ok( !('transactions' in block.getHeader()) )
+})
@@ -0,0 +1,122 @@
+/**************************************************************************
+ * Block Storage Tests
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Stored block encodings (BlockStore.encode/decode), and the append-only log
+ * store: put/delete, index compaction, dropping dead segments, reloading.
+ * ***********************************************************************/
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+
+import { dataPath } from './setup.js'
+import BlockStore from '../lib/BlockStore.js'
+import BlockStoreLog from '../lib/BlockStoreLog.js'
+
+const blockData = { index: 7, prevHash: 'ab', version: '1:1.4', transactions: [ { hash: 'cd', amount: 1.5 } ], hash: 'ef', nonce: 12345 }
+
+// a fresh log store in its own folder
+function logStore( name ){
+    fs.rmSync( path.join(dataPath, name), { recursive: true, force: true } )
+    return new BlockStoreLog( path.join(dataPath, name) )
+}
+
+function indexLines( store ){
+    return fs.readFileSync(store.indexFile(), 'utf8').split('\n').filter( line => line ).length
+}
+
+test('encode/decode: every encoding reads back the same block, marked with its encoding', () => {
+    for( const encoding of [ 'json', 'msgpack', 'json+br', 'msgpack+br' ] ){
+        const data = BlockStore.encode( blockData, encoding )
+        assert.ok( data.toString('latin1').startsWith(`BLK:${encoding}\n`) )
+        assert.deepEqual( BlockStore.decode(data), blockData )
+    }
+})
+
+test('decode: plain JSON (stored before encodings) still reads', () => {
+    assert.deepEqual( BlockStore.decode(Buffer.from(JSON.stringify(blockData, null, 2))), blockData )
+})
+
+test('decode: an unknown encoding is refused', () => {
+    assert.throws( () => BlockStore.decode(Buffer.from('BLK:zip\n{}')), /unknown encoding/ )
+})
+
+test('log store: put, get, replace, delete, keys', () => {
+    const store = logStore('log-basic')
+    store.put( '000001', { ...blockData, index: 1 } )
+    store.put( '000002', { ...blockData, index: 2 } )
+    store.put( 'branches/000002-ab', { ...blockData, index: 2, hash: 'ab' } )
+    store.put( '000002', { ...blockData, index: 2, nonce: 1 } )
+    store.delete( '000001' )
+    store.delete( '000009' ) // not there: nothing
+
+    assert.equal( store.get('000001'), false )
+    assert.equal( store.has('000001'), false )
+    assert.equal( store.get('000002').nonce, 1 )
+    assert.deepEqual( store.keys(), [ '000002' ] )
+    assert.deepEqual( store.keys('branches'), [ 'branches/000002-ab' ] )
+})
+
+test('log store: reloads from its index as it was left', () => {
+    const store = logStore('log-reload')
+    for( let index = 1; index <= 5; index++ ) store.put( '00000' + index, { ...blockData, index } )
+    store.delete( '000003' )
+
+    const reloaded = new BlockStoreLog( path.join(dataPath, 'log-reload') )
+    assert.deepEqual( reloaded.keys(), store.keys() )
+    assert.equal( reloaded.get('000005').index, 5 )
+    assert.equal( reloaded.get('000003'), false )
+})
+
+test('log store: a partly written index line is skipped, and the index repaired', () => {
+    const store = logStore('log-damaged')
+    store.put( '000001', { ...blockData, index: 1 } )
+    fs.appendFileSync( store.indexFile(), '{"key":"000002","segm' )
+
+    const reloaded = new BlockStoreLog( path.join(dataPath, 'log-damaged') )
+    assert.deepEqual( reloaded.keys(), [ '000001' ] )
+    assert.equal( indexLines(reloaded), 1 )
+    reloaded.put( '000002', { ...blockData, index: 2 } )
+    assert.equal( new BlockStoreLog( path.join(dataPath, 'log-damaged') ).get('000002').index, 2 )
+})
+
+test('log store: the index is rewritten once mostly stale lines', () => {
+    const store = logStore('log-compact')
+    store.put( '000001', blockData )
+    for( let i = 0; i < 600; i++ ){
+        store.put( '000002', blockData )
+        store.delete( '000002' )
+    }
+    assert.ok( indexLines(store) < 1000 ) // 1201 lines written, rewritten past 1000 (INDEX_COMPACT_MIN)
+    assert.deepEqual( new BlockStoreLog( path.join(dataPath, 'log-compact') ).keys(), [ '000001' ] )
+})
+
+test('log store: a segment with no live blocks left is removed', () => {
+    const store = logStore('log-segments')
+    store.put( '000001', blockData )
+    store.put( '000002', blockData )
+    // a new encoding starts a new segment
+    store.setEncoding( 'msgpack' )
+    store.put( '000003', blockData )
+    assert.ok( fs.existsSync(store.segmentFile(1)) && fs.existsSync(store.segmentFile(2)) )
+
+    store.delete( '000001' )
+    assert.ok( fs.existsSync(store.segmentFile(1)) )
+    store.delete( '000002' )
+    assert.ok( !fs.existsSync(store.segmentFile(1)) )
+    assert.deepEqual( store.get('000003'), blockData )
+})
+
+test('log store: segments without an index are refused, not dropped', () => {
+    const store = logStore('log-noindex')
+    store.put( '000001', blockData )
+    fs.rmSync( store.indexFile() )
+
+    assert.throws( () => new BlockStoreLog( path.join(dataPath, 'log-noindex') ), /no index/ )
+    assert.ok( fs.existsSync(store.segmentFile(1)) )
+})
@@ -0,0 +1,112 @@
+/**************************************************************************
+ * Blockchain Tests
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Nodes on regtest (see setup.js), driven as a running node would be.
+ * ***********************************************************************/
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+
+import { Block, startNode, prepareBlock, generate, balance } from './setup.js'
+
+test('generate, then restart: the chain and balances reload as they were', () => {
+    let node = startNode('n0')
+    generate( node, 3 )
+    const tip = node.Blockchain.getBlock().hash
+    assert.equal( node.Blockchain.height(), 4 )
+    assert.equal( balance(node), 300 )
+
+    node = startNode('n0', { fresh: false })
+    assert.equal( node.Blockchain.height(), 4 )
+    assert.equal( node.Blockchain.getBlock().hash, tip )
+    assert.equal( balance(node), 300 )
+})
+
+test('restart: wallets that drifted from the tip stateRoot are caught', () => {
+    const node = startNode('n0b')
+    generate( node, 2 )
+    node.Blockchain.checkStateRoot()
+
+    node.Wallet.getUser('n0b')[node.TransactionHandler.BASE_TOKEN].onChain.balance += 1
+    assert.throws( () => node.Blockchain.checkStateRoot(), /stateRoot of our block #2/ )
+})
+
+test('getLocator: tip first, the last 10 one by one then doubling back, ending at genesis', () => {
+    const node = startNode('n1')
+    generate( node, 30 )
+    const locator = node.Blockchain.getLocator()
+    const indexes = locator.map( hash => node.Blockchain.chain.findIndex( block => block.hash === hash ) )
+    assert.deepEqual( indexes, [ 30, 29, 28, 27, 26, 25, 24, 23, 22, 21, 19, 15, 7, 0 ] )
+})
+
+test('getHeaders: finds where a peer forks off from its locator', () => {
+    const a = startNode('n2'), b = startNode('n3')
+    generate( a, 2 )
+    b.Blockchain.addChain( a.Blockchain.getChain(1) )
+    generate( a, 1 )
+    generate( b, 4 )
+
+    const { forkIndex, headers } = b.Blockchain.getHeaders( a.Blockchain.getLocator() )
+    assert.equal( forkIndex, 2 )
+    assert.deepEqual( headers.map( header => header.index ), [ 3, 4, 5, 6 ] )
+    assert.ok( headers.every( header => !('transactions' in header) ) )
+    assert.equal( a.Blockchain.validateHeaders(forkIndex, headers), b.Blockchain.getChainWork() )
+
+    // nothing in common: another network
+    assert.deepEqual( b.Blockchain.getHeaders([ 'abc' ]), { forkIndex: -1, headers: [] } )
+})
+
+test('reorg: a heavier branch replaces our tip, and survives a restart', () => {
+    let a = startNode('n4')
+    const b = startNode('n5')
+    generate( a, 2 )
+    b.Blockchain.addChain( a.Blockchain.getChain(1) )
+    generate( a, 1 )
+    a = startNode('n4', { fresh: false })
+    generate( b, 3 )
+
+    const result = a.Blockchain.addBranch( b.Blockchain.getChain(3) )
+    assert.equal( result.switched, true )
+    assert.equal( result.reorg.depth, 1 )
+    assert.equal( a.Blockchain.getBlock().hash, b.Blockchain.getBlock().hash )
+    assert.equal( balance(a), 200 )     // our third block's reward went with it
+
+    a = startNode('n4', { fresh: false })
+    assert.equal( a.Blockchain.height(), 6 )
+    assert.equal( a.Blockchain.getBlock().hash, b.Blockchain.getBlock().hash )
+    assert.equal( balance(a), 200 )
+    assert.equal( balance(a, 'n5'), 300 )
+})
+
+test('journal: a block stopped part way through being stored is rolled forward on start', () => {
+    let node = startNode('n6')
+    generate( node, 2 )
+    const blockData = prepareBlock( node )
+    // journal written, block cut off mid-write, wallets not updated
+    node.Blockchain.beginJournal( new Block(blockData, { forceOverwrite: true, nodeName: 'n6', dataPath: node.Blockchain.dataPath }) )
+    Block.openStore( node.Blockchain.dataPath, 'n6' ).put( Block.storeKey(blockData.index), { index: blockData.index } )
+
+    node = startNode('n6', { fresh: false })
+    assert.equal( node.Blockchain.height(), 4 )
+    assert.equal( node.Blockchain.getBlock().hash, blockData.hash )
+    assert.equal( balance(node), 300 )
+    assert.equal( fs.existsSync(node.Blockchain.journalFile()), false )
+})
+
+test('journal: a block stored whole just has its journal cleared on start', () => {
+    let node = startNode('n7')
+    generate( node, 2 )
+    const blockData = prepareBlock( node )
+    node.Blockchain.addBlock( blockData )
+    node.Blockchain.beginJournal( node.Blockchain.getBlock() )
+
+    node = startNode('n7', { fresh: false })
+    assert.equal( node.Blockchain.height(), 4 )
+    assert.equal( balance(node), 300 )
+    assert.equal( fs.existsSync(node.Blockchain.journalFile()), false )
+})
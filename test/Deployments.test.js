@@ -0,0 +1,68 @@
+/**************************************************************************
+ * Version-Bits Deployment Tests
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * Deployment states moving on window by window from what blocks signalled.
+ * ***********************************************************************/
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import Deployments from '../lib/Deployments.js'
+
+// a window of 10 blocks, 7 signalling needed
+const spec = { window: 10, threshold: 7, deployments: {
+    early: { bit: 0, start: 0, timeout: 100 },
+    late: { bit: 1, start: 20, timeout: 40 } } }
+
+// a chain of count blocks, the ones signals() picks signalling bits
+function chain( count, signals = () => 0 ){
+    return Array.from( { length: count }, (_, index) => {
+        const bits = signals(index)
+        return { index, hash: `h${index}`, version: bits ? `1:1.4:${bits.toString(16)}` : '1:1.4' }
+    })
+}
+
+test('states: DEFINED -> STARTED -> LOCKED_IN -> ACTIVE, a window apart', () => {
+    const deployments = new Deployments( spec )
+    const blocks = chain( 40, index => index >= 10 ? 1 : 0 )    // bit 0 from the second window on
+    assert.equal( deployments.states(5, blocks).early, 'DEFINED' )
+    assert.equal( deployments.states(10, blocks).early, 'STARTED' )
+    assert.equal( deployments.states(20, blocks).early, 'LOCKED_IN' )
+    assert.equal( deployments.states(30, blocks).early, 'ACTIVE' )
+    assert.deepEqual( deployments.active(35, blocks), [ 'early' ] )
+    assert.deepEqual( deployments.active(25, blocks), [] )
+})
+
+test('states: under the threshold stays STARTED, then FAILED at its timeout', () => {
+    const deployments = new Deployments( spec )
+    const blocks = chain( 60, index => index % 10 < 6 ? 2 : 0 )  // bit 1 in 6 of 10
+    assert.equal( deployments.states(19, blocks).late, 'DEFINED' )
+    assert.equal( deployments.states(20, blocks).late, 'STARTED' )
+    assert.equal( deployments.states(30, blocks).late, 'STARTED' )
+    assert.equal( deployments.states(40, blocks).late, 'FAILED' )
+    assert.equal( deployments.states(50, blocks).late, 'FAILED' )
+})
+
+test('states: depend on the chain they are asked for (a reorg)', () => {
+    const deployments = new Deployments( spec )
+    const signalling = chain( 30, () => 1 )
+    const other = chain( 30, () => 0 ).map( block => ({ ...block, hash: `o${block.index}` }) )
+    assert.equal( deployments.states(20, signalling).early, 'LOCKED_IN' )
+    assert.equal( deployments.states(20, other).early, 'STARTED' )
+})
+
+test('blockVersion: signals the deployments being voted on', () => {
+    const deployments = new Deployments( spec )
+    const blocks = chain( 20 )
+    assert.equal( deployments.blockVersion('1:1.4', 5, blocks), '1:1.4' )      // nothing started yet
+    assert.equal( deployments.blockVersion('1:1.4', 10, blocks), '1:1.4:1' )
+    assert.equal( Deployments.signalBits('1:1.4:5'), 5 )
+})
+
+test('constructor: deployments sharing a bit are refused', () => {
+    assert.throws( () => new Deployments({ window: 10, threshold: 7, deployments: { a: { bit: 0, start: 0, timeout: 10 }, b: { bit: 0, start: 0, timeout: 10 } } }) )
+})
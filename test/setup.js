@@ -0,0 +1,83 @@
+/**************************************************************************
+ * Test Setup
+ *
+ * (c) 2025 Filipe Laborde, fil@rezox.com
+ *
+ * MIT License
+ *
+ * What the tests share: the .env values the lib modules read as they load
+ * (so they're set here, and the modules imported after), a regtest chain-spec
+ * (trivial proof-of-work), a throwaway data folder, and helpers to start a
+ * node (as Miner does, without its P2P or mining worker) and generate blocks.
+ * ***********************************************************************/
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+import Crypto from '../lib/Crypto.js'
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..')
+
+// a genesis admin key of our own (the genesis block is signed by it)
+const { publicKey, privateKey } = Crypto.genKeyPair()
+Object.assign(process.env, {
+    NETWORK: 'regtest', CHAIN_SPEC: path.join(ROOT, 'chainspec', 'regtest.json'),
+    BLOCKCHAIN_PUBLICKEY: publicKey, BLOCKCHAIN_PRIVATEKEY: privateKey,
+    MAX_PENDING_PER_USER: 10, PENDING_TRANSACTION_STALE: 600, DEBUG: 0 })
+
+const { default: ChainSpec } = await import('../lib/ChainSpec.js')
+const { default: TransactionHandler } = await import('../lib/TransactionHandler.js')
+const { default: Wallet } = await import('../lib/Wallet.js')
+const { default: Mempool } = await import('../lib/Mempool.js')
+const { default: Blockchain } = await import('../lib/Blockchain.js')
+const { default: Block } = await import('../lib/Block.js')
+
+export { Block, Blockchain }
+
+// each test file gets its own data folder
+export const dataPath = fs.mkdtempSync( path.join(os.tmpdir(), 'blockchain-test-') )
+process.on( 'exit', () => fs.rmSync(dataPath, { recursive: true, force: true }) )
+
+// a node named name (fresh: its data removed first, else it loads what it stored, as on a restart)
+export function startNode( name, { fresh = true } = {} ){
+    if( fresh ) fs.rmSync( path.join(dataPath, name), { recursive: true, force: true } )
+    fs.mkdirSync( path.join(dataPath, name), { recursive: true } )
+    // a restart: no block store left open from before
+    delete Block.stores[path.join(dataPath, name)]
+
+    const chainSpec = new ChainSpec()
+    const TransactionHandlerInstance = new TransactionHandler( name, chainSpec )
+    const WalletInstance = new Wallet( path.join(dataPath, name, 'wallet.json'), TransactionHandlerInstance )
+    const MempoolInstance = new Mempool( WalletInstance )
+    TransactionHandlerInstance.setHelperClasses( WalletInstance, MempoolInstance )
+    WalletInstance.generate( name )
+    WalletInstance.resetAllTokens()
+
+    const BlockchainInstance = new Blockchain( '1:1.4', name, dataPath, TransactionHandlerInstance, MempoolInstance, WalletInstance, chainSpec )
+    return { name, TransactionHandler: TransactionHandlerInstance, Wallet: WalletInstance, Blockchain: BlockchainInstance }
+}
+
+// the next block for node, rewarding it (the index keeps each reward's hash unique), sealed but not added (as Miner.generate)
+export function prepareBlock( node ){
+    const { Blockchain, TransactionHandler, Wallet } = node
+    const index = Blockchain.height()
+    Blockchain.calcMiningReward({ index })
+    const reward = TransactionHandler.rewardTransaction({ src: TransactionHandler.BASE_TOKEN, dest: Wallet.buildNameWithPublicKey(node.name), amount: Blockchain.miningReward,
+                                                          token: TransactionHandler.BASE_TOKEN, type: 'miningReward', index }, index)
+    const block = new Block( Blockchain.prepareBlockData([ reward ]), { forceOverwrite: true, nodeName: node.name, dataPath } )
+    Blockchain.Consensus.sealBlock( block, { chain: Blockchain.chain } )
+    return block.getData()
+}
+
+// add count blocks to node's chain
+export function generate( node, count = 1 ){
+    for( let i = 0; i < count; i++ )
+        node.Blockchain.addBlock( prepareBlock(node) )
+}
+
+// what name has on node's chain
+export function balance( node, name = node.name ){
+    return node.Wallet.getUser(name)[node.TransactionHandler.BASE_TOKEN]?.onChain.balance || 0
+}